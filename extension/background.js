@@ -1,5 +1,97 @@
 const NATIVE_HOST_NAME = 'com.claude.tabs_organizer';
 
+const DEFAULT_SETTINGS = {
+  autoSync: true,
+  autoSyncDelay: 2000,
+  handsFree: false,
+  // Capture page text when a page loads, for search_tab_contents
+  captureContent: false,
+  // Shown to the MCP server to tell browsers apart; empty means the detected browser name
+  browserName: '',
+  // Actions that run without approval in hands-free mode; everything else waits for the popup
+  // Reading pages, bookmarks or history is left out: the user has to allow that in the popup
+  autoRunActions: ['focus_tab', 'create_group', 'update_group', 'ungroup_tabs']
+};
+
+// Keep the debounce short enough that the service worker stays alive until it fires
+const MIN_AUTO_SYNC_DELAY = 500;
+const MAX_AUTO_SYNC_DELAY = 25000;
+
+const RECONNECT_DELAY = 5000;
+
+// Page content sent back to the MCP server, in characters. The extension can't load code from
+// mcp-server/, so these and RESTRICTED_URL_PATTERN are copies: keep them in sync with index.js.
+const DEFAULT_CONTENT_LENGTH = 20000;
+const MAX_CONTENT_LENGTH = 100000;
+
+// Screenshots: default width they are scaled down to, and how long a newly activated tab gets to paint
+const DEFAULT_SCREENSHOT_WIDTH = 1280;
+const SCREENSHOT_PAINT_DELAY = 300;
+
+// Browsers don't let extensions run scripts in their own pages or in the extension stores
+const RESTRICTED_URL_PATTERN = /^(chrome|chrome-extension|chrome-search|chrome-untrusted|devtools|edge|brave|opera|vivaldi|arc|about|view-source):|^https:\/\/(chromewebstore\.google\.com|chrome\.google\.com\/webstore|microsoftedge\.microsoft\.com\/addons)/;
+
+let autoSyncTimer = null;
+let nativePort = null;
+let reconnectTimer = null;
+let commandQueue = Promise.resolve();
+const handledCommandIds = new Set();
+
+async function getSettings() {
+  const stored = await chrome.storage.local.get(Object.keys(DEFAULT_SETTINGS));
+  return { ...DEFAULT_SETTINGS, ...stored };
+}
+
+async function updateSettings(changes) {
+  const updates = {};
+  if (typeof changes.autoSync === 'boolean') {
+    updates.autoSync = changes.autoSync;
+  }
+  if (Number.isFinite(changes.autoSyncDelay)) {
+    updates.autoSyncDelay = Math.min(MAX_AUTO_SYNC_DELAY, Math.max(MIN_AUTO_SYNC_DELAY, changes.autoSyncDelay));
+  }
+  if (typeof changes.handsFree === 'boolean') {
+    updates.handsFree = changes.handsFree;
+  }
+  if (typeof changes.captureContent === 'boolean') {
+    updates.captureContent = changes.captureContent;
+  }
+  if (typeof changes.browserName === 'string') {
+    updates.browserName = changes.browserName.trim().slice(0, 40);
+  }
+  if (Array.isArray(changes.autoRunActions)) {
+    updates.autoRunActions = changes.autoRunActions.filter(a => typeof a === 'string');
+  }
+  await chrome.storage.local.set(updates);
+  return getSettings();
+}
+
+// Chromium-based browsers all report "Chromium"; the brand list tells them apart (Arc looks like Chrome)
+async function detectBrowserName() {
+  if (navigator.brave && await navigator.brave.isBrave()) {
+    return 'Brave';
+  }
+  const brands = (navigator.userAgentData?.brands || [])
+    .map(b => b.brand)
+    .filter(brand => brand !== 'Chromium' && !/not.?a.?brand/i.test(brand));
+  const brand = brands[0] || 'Chrome';
+  return brand.replace(/^(Google|Microsoft) /, '');
+}
+
+// Each browser profile gets a stable id the first time it syncs, so snapshots
+// from several browsers (or profiles) can be told apart by the native host
+async function getBrowserIdentity() {
+  const settings = await getSettings();
+  const detectedName = await detectBrowserName();
+  let { profileId } = await chrome.storage.local.get('profileId');
+  if (!profileId) {
+    const slug = detectedName.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    profileId = `${slug}-${crypto.randomUUID().slice(0, 8)}`;
+    await chrome.storage.local.set({ profileId });
+  }
+  return { id: profileId, name: settings.browserName || detectedName, detectedName };
+}
+
 async function getAllTabs() {
   const tabs = await chrome.tabs.query({});
   return tabs.map(tab => ({
@@ -38,17 +130,24 @@ async function syncTabs() {
   const tabs = await getAllTabs();
   const groups = await getTabGroups();
   const windows = await chrome.windows.getAll();
+  const { id, name } = await getBrowserIdentity();
 
   const data = {
+    browser: { id, name },
     timestamp: new Date().toISOString(),
     windowCount: windows.length,
+    focusedWindowId: windows.find(w => w.focused)?.id,
     tabCount: tabs.length,
     groups: groups,
     tabs: tabs
   };
 
+  return sendNativeMessage(data);
+}
+
+function sendNativeMessage(message) {
   return new Promise((resolve, reject) => {
-    chrome.runtime.sendNativeMessage(NATIVE_HOST_NAME, data, response => {
+    chrome.runtime.sendNativeMessage(NATIVE_HOST_NAME, message, response => {
       if (chrome.runtime.lastError) {
         reject(new Error(chrome.runtime.lastError.message));
       } else {
@@ -58,6 +157,751 @@ async function syncTabs() {
   });
 }
 
+// Debounce bursts of tab events (e.g. closing a window) into a single sync
+async function scheduleAutoSync() {
+  const settings = await getSettings();
+  if (!settings.autoSync) return;
+
+  clearTimeout(autoSyncTimer);
+  autoSyncTimer = setTimeout(() => {
+    autoSyncTimer = null;
+    // A failed sync is retried by the next tab change, or a manual sync from the popup
+    syncTabs().catch(() => {});
+  }, settings.autoSyncDelay);
+}
+
+// Only react to tab updates that change what ends up in the snapshot
+const SYNCED_TAB_FIELDS = ['url', 'title', 'pinned', 'groupId', 'audible', 'mutedInfo', 'favIconUrl'];
+
+chrome.tabs.onCreated.addListener(() => scheduleAutoSync());
+chrome.tabs.onRemoved.addListener(() => scheduleAutoSync());
+chrome.tabs.onMoved.addListener(() => scheduleAutoSync());
+chrome.tabs.onAttached.addListener(() => scheduleAutoSync());
+chrome.tabs.onDetached.addListener(() => scheduleAutoSync());
+chrome.tabs.onActivated.addListener(() => scheduleAutoSync());
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (SYNCED_TAB_FIELDS.some(field => field in changeInfo)) {
+    scheduleAutoSync();
+  }
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.status === 'complete') {
+    captureTabContent(tab).catch(() => {});
+  }
+});
+
+chrome.tabGroups.onCreated.addListener(() => scheduleAutoSync());
+chrome.tabGroups.onUpdated.addListener(() => scheduleAutoSync());
+chrome.tabGroups.onRemoved.addListener(() => scheduleAutoSync());
+chrome.tabGroups.onMoved.addListener(() => scheduleAutoSync());
+
+chrome.windows.onCreated.addListener(() => scheduleAutoSync());
+chrome.windows.onRemoved.addListener(() => scheduleAutoSync());
+
+// Sync once when the browser starts so the snapshot isn't left over from the last session
+chrome.runtime.onStartup.addListener(() => scheduleAutoSync());
+chrome.runtime.onInstalled.addListener(() => scheduleAutoSync());
+
+// Hands-free mode: keep a native host connection open and run commands as soon as they are queued
+async function connectNativeHost() {
+  if (nativePort) return;
+
+  const browser = await getBrowserIdentity();
+  if (nativePort) return;
+  nativePort = chrome.runtime.connectNative(NATIVE_HOST_NAME);
+  nativePort.onMessage.addListener(message => {
+    if (message.type === 'commands') {
+      runAutoCommands(message.commands || []);
+    }
+  });
+  nativePort.onDisconnect.addListener(() => {
+    // Reading lastError marks it as handled; reconnecting is all there is to do about it
+    void chrome.runtime.lastError;
+    nativePort = null;
+    scheduleReconnect();
+  });
+  nativePort.postMessage({ action: 'connect', browser: browser.id });
+}
+
+function disconnectNativeHost() {
+  clearTimeout(reconnectTimer);
+  if (nativePort) {
+    nativePort.disconnect();
+    nativePort = null;
+  }
+}
+
+async function scheduleReconnect() {
+  const settings = await getSettings();
+  if (!settings.handsFree) return;
+
+  clearTimeout(reconnectTimer);
+  reconnectTimer = setTimeout(connectNativeHost, RECONNECT_DELAY);
+}
+
+async function applyConnectionSettings() {
+  const settings = await getSettings();
+  if (settings.handsFree) {
+    connectNativeHost();
+  } else {
+    disconnectNativeHost();
+  }
+}
+
+async function runAutoCommands(commands) {
+  const settings = await getSettings();
+  if (!settings.handsFree) return;
+
+  const runnable = commands.filter(cmd =>
+    settings.autoRunActions.includes(cmd.action) && !handledCommandIds.has(cmd.id)
+  );
+  if (runnable.length === 0) return;
+
+  runnable.forEach(cmd => handledCommandIds.add(cmd.id));
+  commandQueue = commandQueue
+    .then(() => runCommands(runnable))
+    // Each command's failure is already reported through its result
+    .catch(() => {});
+}
+
+chrome.runtime.onStartup.addListener(() => applyConnectionSettings());
+applyConnectionSettings();
+
+async function getTabsById(tabIds) {
+  const tabs = await Promise.all(tabIds.map(id => chrome.tabs.get(id).catch(() => null)));
+  return tabs.filter(Boolean);
+}
+
+async function getGroupInfo(groupId) {
+  if (groupId === undefined || groupId === -1) return null;
+  try {
+    const group = await chrome.tabGroups.get(groupId);
+    return { title: group.title || '', color: group.color, collapsed: group.collapsed };
+  } catch (e) {
+    return null;
+  }
+}
+
+async function describeTabGroups(tabs) {
+  return Promise.all(tabs.map(async tab => ({
+    tabId: tab.id,
+    groupId: tab.groupId,
+    group: await getGroupInfo(tab.groupId)
+  })));
+}
+
+// Record what a command is about to change, so Claude can undo it later
+async function captureUndoState(cmd) {
+  switch (cmd.action) {
+    case 'close_tabs':
+    case 'bookmark_tabs': {
+      if (cmd.action === 'bookmark_tabs' && !cmd.closeTabs) return null;
+      const tabs = await getTabsById(cmd.tabIds || []);
+      const groups = await describeTabGroups(tabs);
+      return {
+        tabs: tabs.map((tab, i) => ({
+          url: tab.url,
+          title: tab.title,
+          windowId: tab.windowId,
+          index: tab.index,
+          pinned: tab.pinned,
+          groupId: tab.groupId,
+          group: groups[i].group
+        }))
+      };
+    }
+
+    case 'create_group':
+    case 'ungroup_tabs': {
+      const tabs = await getTabsById(cmd.tabIds || []);
+      return { tabs: await describeTabGroups(tabs) };
+    }
+
+    case 'shuffle_tabs': {
+      const tabs = await getTabsById((cmd.moves || []).map(move => move.tabId));
+      return { tabs: tabs.map(tab => ({ tabId: tab.id, windowId: tab.windowId, index: tab.index })) };
+    }
+
+    case 'update_group': {
+      const group = await getGroupInfo(cmd.groupId);
+      return group ? { groupId: cmd.groupId, title: group.title, color: group.color, collapsed: group.collapsed } : null;
+    }
+
+    case 'move_group': {
+      const tabs = await chrome.tabs.query({ groupId: cmd.groupId });
+      if (tabs.length === 0) return null;
+      return { groupId: cmd.groupId, windowId: tabs[0].windowId, index: Math.min(...tabs.map(tab => tab.index)) };
+    }
+
+    case 'focus_tab': {
+      const windowId = cmd.windowId || (await chrome.tabs.get(cmd.tabId)).windowId;
+      const [activeTab] = await chrome.tabs.query({ active: true, windowId });
+      return activeTab ? { tabId: activeTab.id, windowId } : null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+// Put tabs back into the group they were in, recreating the group if it no longer exists
+async function restoreTabGroups(entries) {
+  const byGroup = new Map();
+  for (const entry of entries) {
+    const key = entry.groupId === undefined ? -1 : entry.groupId;
+    if (!byGroup.has(key)) byGroup.set(key, { group: entry.group, tabIds: [] });
+    byGroup.get(key).tabIds.push(entry.tabId);
+  }
+
+  for (const [previousGroupId, { group, tabIds }] of byGroup) {
+    if (previousGroupId === -1 || !group) {
+      await chrome.tabs.ungroup(tabIds);
+      continue;
+    }
+
+    const existing = await getGroupInfo(previousGroupId);
+    if (existing) {
+      await chrome.tabs.group({ groupId: previousGroupId, tabIds });
+    } else {
+      const groupId = await chrome.tabs.group({ tabIds });
+      await chrome.tabGroups.update(groupId, {
+        title: group.title,
+        color: group.color,
+        collapsed: group.collapsed
+      });
+    }
+  }
+}
+
+async function windowExists(windowId) {
+  try {
+    await chrome.windows.get(windowId);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Reopen closed tabs, preferring the browser's own session restore (keeps history)
+async function restoreTabs(tabs) {
+  const recentlyClosed = await chrome.sessions.getRecentlyClosed();
+  const usedSessions = new Set();
+  const groupEntries = [];
+
+  for (const tab of tabs) {
+    const session = recentlyClosed.find(s =>
+      s.tab && s.tab.url === tab.url && !usedSessions.has(s.tab.sessionId)
+    );
+
+    let restoredTab;
+    if (session) {
+      usedSessions.add(session.tab.sessionId);
+      restoredTab = (await chrome.sessions.restore(session.tab.sessionId)).tab;
+    } else {
+      const createProperties = { url: tab.url, pinned: tab.pinned, active: false };
+      if (await windowExists(tab.windowId)) {
+        createProperties.windowId = tab.windowId;
+        createProperties.index = tab.index;
+      }
+      restoredTab = await chrome.tabs.create(createProperties);
+    }
+
+    if (restoredTab && tab.group) {
+      groupEntries.push({ tabId: restoredTab.id, groupId: tab.groupId, group: tab.group });
+    }
+  }
+
+  await restoreTabGroups(groupEntries);
+  return tabs.length;
+}
+
+// Open tabs window by window, then put them into their groups (new or existing)
+async function openTabs(cmd) {
+  let opened = 0;
+  let failed = 0;
+
+  for (const spec of cmd.windows || []) {
+    const tabs = spec.tabs || [];
+    if (tabs.length === 0) continue;
+
+    const created = [];
+    let windowId;
+    let remaining = tabs;
+
+    if (spec.newWindow) {
+      const win = await chrome.windows.create({ url: tabs[0].url, focused: !cmd.background });
+      windowId = win.id;
+      if (tabs[0].pinned) {
+        await chrome.tabs.update(win.tabs[0].id, { pinned: true });
+      }
+      created.push({ tabId: win.tabs[0].id, group: tabs[0].group });
+      remaining = tabs.slice(1);
+      opened++;
+    } else {
+      windowId = spec.windowId && await windowExists(spec.windowId)
+        ? spec.windowId
+        : (await chrome.windows.getLastFocused()).id;
+    }
+
+    for (const tab of remaining) {
+      try {
+        const newTab = await chrome.tabs.create({ windowId, url: tab.url, pinned: !!tab.pinned, active: false });
+        created.push({ tabId: newTab.id, group: tab.group });
+        opened++;
+      } catch (e) {
+        // Some URLs (e.g. other extensions' pages) can't be opened, continue with others
+        failed++;
+      }
+    }
+
+    const groups = spec.groups || [];
+    for (let i = 0; i < groups.length; i++) {
+      const tabIds = created.filter(t => t.group === i).map(t => t.tabId);
+      if (tabIds.length === 0) continue;
+
+      const group = groups[i];
+      if (group.groupId !== undefined && await getGroupInfo(group.groupId)) {
+        await chrome.tabs.group({ groupId: group.groupId, tabIds });
+      } else {
+        const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+        await chrome.tabGroups.update(groupId, {
+          title: group.title || '',
+          color: group.color || 'grey',
+          collapsed: !!group.collapsed
+        });
+      }
+    }
+
+    if (!cmd.background && created.length > 0) {
+      await chrome.tabs.update(created[0].tabId, { active: true });
+      await chrome.windows.update(windowId, { focused: true });
+    }
+  }
+
+  return { opened, failed };
+}
+
+// Move tabs and whole groups to a window; a new window's placeholder tab is closed afterwards
+async function moveToWindow({ tabIds = [], groupIds = [], windowId, newWindow }) {
+  let targetWindowId = windowId;
+  let placeholderTabId = null;
+
+  if (newWindow || !targetWindowId || !(await windowExists(targetWindowId))) {
+    const win = await chrome.windows.create({ focused: false });
+    targetWindowId = win.id;
+    placeholderTabId = win.tabs[0].id;
+  }
+
+  for (const groupId of groupIds) {
+    await chrome.tabGroups.move(groupId, { windowId: targetWindowId, index: -1 });
+  }
+  if (tabIds.length > 0) {
+    await chrome.tabs.move(tabIds, { windowId: targetWindowId, index: -1 });
+  }
+
+  if (placeholderTabId !== null) {
+    await chrome.tabs.remove(placeholderTabId);
+  }
+  return targetWindowId;
+}
+
+// Move every group and tab of the other normal windows into the target window
+async function mergeWindows(targetWindowId) {
+  const windows = await chrome.windows.getAll({ populate: true, windowTypes: ['normal'] });
+  let moved = 0;
+
+  for (const win of windows) {
+    if (win.id === targetWindowId) continue;
+
+    const groupIds = [...new Set(win.tabs.map(tab => tab.groupId).filter(id => id !== -1))];
+    const tabIds = win.tabs.filter(tab => tab.groupId === -1).map(tab => tab.id);
+    await moveToWindow({ tabIds, groupIds, windowId: targetWindowId });
+    moved += win.tabs.length;
+  }
+
+  return moved;
+}
+
+// Bookmark folders by id with their path, e.g. "Other bookmarks/Research", to tell same-named folders apart
+async function getBookmarkFolders() {
+  const [root] = await chrome.bookmarks.getTree();
+  const folders = new Map();
+  const walk = (node, parentPath) => {
+    for (const child of node.children || []) {
+      if (child.url) continue;
+      const folderPath = parentPath ? `${parentPath}/${child.title}` : child.title;
+      folders.set(child.id, { id: child.id, title: child.title, path: folderPath, node: child });
+      walk(child, folderPath);
+    }
+  };
+  walk(root, '');
+  return folders;
+}
+
+// A folder by id, or by name or path (ignoring case); the shortest path wins among same-named folders
+async function findBookmarkFolder({ folderId, folderName }) {
+  const folders = await getBookmarkFolders();
+  if (folderId) return folders.get(String(folderId)) || null;
+
+  const name = (folderName || '').toLowerCase();
+  return [...folders.values()]
+    .filter(f => f.title.toLowerCase() === name || f.path.toLowerCase() === name)
+    .sort((a, b) => a.path.length - b.path.length)[0] || null;
+}
+
+// Save tabs into a folder (created under the parent folder, "Other bookmarks" by default, unless
+// it exists already), skipping pages the folder already has; optionally close the tabs afterwards
+async function bookmarkTabs(cmd) {
+  const tabs = await getTabsById(cmd.tabIds || []);
+  if (tabs.length === 0) throw new Error('None of the tabs are open anymore');
+
+  let parent;
+  if (cmd.parentFolder) {
+    parent = await findBookmarkFolder({ folderName: cmd.parentFolder });
+    if (!parent) throw new Error(`Bookmark folder "${cmd.parentFolder}" not found`);
+  } else {
+    const [root] = await chrome.bookmarks.getTree();
+    const other = root.children[1] || root.children[0];
+    parent = { id: other.id, path: other.title };
+  }
+
+  const siblings = await chrome.bookmarks.getChildren(parent.id);
+  const folder = siblings.find(node => !node.url && node.title === cmd.folderName) ||
+    await chrome.bookmarks.create({ parentId: parent.id, title: cmd.folderName });
+  const existing = new Set((await chrome.bookmarks.getChildren(folder.id)).map(node => node.url));
+
+  let added = 0;
+  for (const tab of tabs) {
+    if (existing.has(tab.url)) continue;
+    await chrome.bookmarks.create({ parentId: folder.id, title: tab.title, url: tab.url });
+    existing.add(tab.url);
+    added++;
+  }
+
+  if (cmd.closeTabs) {
+    await chrome.tabs.remove(tabs.map(tab => tab.id));
+  }
+  return { folderId: folder.id, folder: `${parent.path}/${folder.title}`, added, skipped: tabs.length - added, closed: cmd.closeTabs ? tabs.length : 0 };
+}
+
+async function searchBookmarks(cmd) {
+  const folders = await getBookmarkFolders();
+  const matches = await chrome.bookmarks.search(cmd.query);
+  const limit = cmd.limit || 20;
+  return {
+    total: matches.length,
+    results: matches.slice(0, limit).map(node => ({
+      id: node.id,
+      title: node.title,
+      ...(node.url ? { url: node.url } : { isFolder: true, path: folders.get(node.id)?.path }),
+      folder: folders.get(node.parentId)?.path || '',
+      dateAdded: node.dateAdded
+    }))
+  };
+}
+
+// Open a folder's bookmarks as tab groups: its own bookmarks in a group named after it, each
+// subfolder's in a group of its own. Pages already open are skipped.
+async function openBookmarkFolder(cmd) {
+  const folder = await findBookmarkFolder(cmd);
+  if (!folder) throw new Error(`Bookmark folder "${cmd.folderName || cmd.folderId}" not found`);
+
+  const openUrls = new Set((await chrome.tabs.query({})).map(tab => tab.url));
+  const groups = [];
+  const tabs = [];
+  let skipped = 0;
+  const collect = (node, title) => {
+    const links = (node.children || []).filter(child => child.url && /^(https?|ftp|file):/i.test(child.url));
+    const fresh = links.filter(child => !openUrls.has(child.url));
+    skipped += links.length - fresh.length;
+    if (fresh.length > 0) {
+      groups.push({ title, color: 'blue' });
+      fresh.forEach(child => tabs.push({ url: child.url, group: groups.length - 1 }));
+    }
+    (node.children || []).filter(child => !child.url).forEach(child => collect(child, child.title));
+  };
+  const [subTree] = await chrome.bookmarks.getSubTree(folder.id);
+  collect(subTree, folder.title);
+
+  if (tabs.length === 0) {
+    return { folder: folder.path, opened: 0, failed: 0, skipped };
+  }
+  const { opened, failed } = await openTabs({
+    background: cmd.background,
+    windows: [{ newWindow: !!cmd.newWindow, tabs, groups }]
+  });
+  return { folder: folder.path, opened, failed, skipped };
+}
+
+async function searchHistory(cmd) {
+  const items = await chrome.history.search({
+    text: cmd.text || '',
+    startTime: cmd.startTime || 0,
+    ...(cmd.endTime && { endTime: cmd.endTime }),
+    maxResults: cmd.maxResults || 50
+  });
+  return {
+    results: items.map(item => ({
+      url: item.url,
+      title: item.title,
+      lastVisitTime: item.lastVisitTime,
+      visitCount: item.visitCount
+    }))
+  };
+}
+
+function describeClosedTab(tab) {
+  return { sessionId: tab.sessionId, title: tab.title, url: tab.url };
+}
+
+// Recently closed tabs and windows, most recent first (lastModified is in seconds)
+async function listRecentlyClosed(cmd) {
+  const maxResults = Math.min(cmd.limit || chrome.sessions.MAX_SESSION_RESULTS, chrome.sessions.MAX_SESSION_RESULTS);
+  const sessions = await chrome.sessions.getRecentlyClosed({ maxResults });
+  return {
+    results: sessions
+      .filter(session => session.tab || session.window)
+      .map(session => session.tab
+        ? { type: 'tab', closedAt: session.lastModified * 1000, ...describeClosedTab(session.tab) }
+        : {
+            type: 'window',
+            closedAt: session.lastModified * 1000,
+            sessionId: session.window.sessionId,
+            tabs: (session.window.tabs || []).map(describeClosedTab)
+          })
+  };
+}
+
+// Reopen a closed tab or window by session id, or the most recently closed tab matching the search
+async function restoreClosedTab(cmd) {
+  let sessionId = cmd.sessionId;
+  if (!sessionId) {
+    const search = (cmd.search || '').toLowerCase();
+    const sessions = await chrome.sessions.getRecentlyClosed();
+    const match = sessions
+      .flatMap(session => session.tab ? [session.tab] : session.window?.tabs || [])
+      .find(tab => (tab.title || '').toLowerCase().includes(search) || (tab.url || '').toLowerCase().includes(search));
+    if (!match) throw new Error(`No recently closed tab matches "${cmd.search}"`);
+    sessionId = match.sessionId;
+  }
+
+  const restored = await chrome.sessions.restore(sessionId);
+  return restored.tab
+    ? { type: 'tab', title: restored.tab.title, url: restored.tab.url }
+    : { type: 'window', tabCount: restored.window?.tabs?.length || 0 };
+}
+
+// Runs in the page (chrome.scripting), so it must not use anything outside its own body.
+// Converts the main content (the largest article/main element, or the body) to Markdown,
+// leaving out navigation, forms, scripts and hidden elements.
+function extractPageMarkdown() {
+  const SKIPPED = 'script, style, noscript, template, svg, canvas, iframe, nav, header, footer, aside, form, button, dialog, ' +
+    '[hidden], [aria-hidden="true"], [role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"]';
+  const BLOCKS = ['p', 'div', 'section', 'article', 'main', 'figure', 'figcaption', 'dl', 'dt', 'dd', 'details', 'summary'];
+
+  const collapse = text => text.replace(/\s+/g, ' ');
+  const isHidden = el => {
+    const style = getComputedStyle(el);
+    return style.display === 'none' || style.visibility === 'hidden';
+  };
+
+  function convertChildren(node) {
+    return [...node.childNodes].map(convert).join('');
+  }
+
+  function convertList(list, ordered) {
+    const items = [...list.children].filter(child => child.tagName === 'LI');
+    return items.map((item, i) => {
+      const lines = convertChildren(item).trim().replace(/\n{2,}/g, '\n').split('\n');
+      const marker = ordered ? `${i + 1}.` : '-';
+      return [`${marker} ${lines[0]}`, ...lines.slice(1).map(line => `  ${line}`)].join('\n');
+    }).join('\n');
+  }
+
+  function convertTable(table) {
+    const rows = [...table.rows].map(row =>
+      `| ${[...row.cells].map(cell => convertChildren(cell).trim().replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|')).join(' | ')} |`
+    );
+    if (rows.length === 0) return '';
+    const columns = table.rows[0].cells.length;
+    rows.splice(1, 0, `|${' --- |'.repeat(columns)}`);
+    return rows.join('\n');
+  }
+
+  function convert(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return collapse(node.textContent);
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || node.matches(SKIPPED) || isHidden(node)) {
+      return '';
+    }
+
+    const tag = node.tagName.toLowerCase();
+    if (/^h[1-6]$/.test(tag)) {
+      const text = convertChildren(node).trim();
+      return text ? `\n\n${'#'.repeat(Number(tag[1]))} ${text}\n\n` : '';
+    }
+    if (BLOCKS.includes(tag)) {
+      return `\n\n${convertChildren(node).trim()}\n\n`;
+    }
+
+    switch (tag) {
+      case 'br':
+        return '\n';
+      case 'hr':
+        return '\n\n---\n\n';
+      case 'a': {
+        const text = convertChildren(node).trim();
+        const href = node.getAttribute('href');
+        if (!text || !href || href.startsWith('#') || href.startsWith('javascript:')) return text;
+        return `[${text}](${node.href})`;
+      }
+      case 'strong':
+      case 'b': {
+        const text = convertChildren(node).trim();
+        return text ? `**${text}**` : '';
+      }
+      case 'em':
+      case 'i': {
+        const text = convertChildren(node).trim();
+        return text ? `*${text}*` : '';
+      }
+      case 'code':
+        return `\`${node.textContent}\``;
+      case 'pre':
+        return `\n\n\`\`\`\n${node.textContent.replace(/\n+$/, '')}\n\`\`\`\n\n`;
+      case 'blockquote':
+        return `\n\n${convertChildren(node).trim().split('\n').map(line => `> ${line}`).join('\n')}\n\n`;
+      case 'ul':
+      case 'ol':
+        return `\n\n${convertList(node, tag === 'ol')}\n\n`;
+      case 'table':
+        return `\n\n${convertTable(node)}\n\n`;
+      case 'img': {
+        const alt = (node.getAttribute('alt') || '').trim();
+        return alt && !node.src.startsWith('data:') ? `![${alt}](${node.src})` : '';
+      }
+      default:
+        return convertChildren(node);
+    }
+  }
+
+  const candidates = [...document.querySelectorAll('article, main, [role="main"]')];
+  const root = candidates.sort((a, b) => b.textContent.length - a.textContent.length)[0] || document.body;
+  const markdown = convert(root)
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return { title: document.title, url: location.href, markdown };
+}
+
+// Extract a tab's readable content, returning the requested slice of it
+async function readTabContent(cmd) {
+  const tab = await chrome.tabs.get(cmd.tabId);
+  if (RESTRICTED_URL_PATTERN.test(tab.url || '')) {
+    throw new Error(`Cannot read ${tab.url}: the browser does not allow extensions to read this page`);
+  }
+  if (tab.discarded) {
+    throw new Error('The tab is unloaded (discarded); focus it first so it loads again');
+  }
+
+  const [injection] = await chrome.scripting.executeScript({
+    target: { tabId: cmd.tabId },
+    func: extractPageMarkdown
+  });
+  const { title, url, markdown } = injection.result;
+
+  const offset = Math.max(0, cmd.offset || 0);
+  const maxLength = Math.min(cmd.maxLength || DEFAULT_CONTENT_LENGTH, MAX_CONTENT_LENGTH);
+  return {
+    title,
+    url,
+    offset,
+    totalLength: markdown.length,
+    content: markdown.slice(offset, offset + maxLength)
+  };
+}
+
+function arrayBufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  // Chunked, as String.fromCharCode can't take a whole image as arguments
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Scale an image down to maxWidth and encode it as PNG or JPEG
+async function encodeScreenshot(dataUrl, { format, quality, maxWidth }) {
+  const blob = await (await fetch(dataUrl)).blob();
+  const bitmap = await createImageBitmap(blob);
+  const scale = Math.min(1, maxWidth / bitmap.width);
+  const width = Math.round(bitmap.width * scale);
+  const height = Math.round(bitmap.height * scale);
+
+  const canvas = new OffscreenCanvas(width, height);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+
+  const mimeType = format === 'png' ? 'image/png' : 'image/jpeg';
+  const encoded = await canvas.convertToBlob({ type: mimeType, quality: quality / 100 });
+  return { mimeType, data: arrayBufferToBase64(await encoded.arrayBuffer()), width, height };
+}
+
+// captureVisibleTab only sees the active tab of a window: activate the target tab if needed,
+// and switch back to the tab that was active before
+async function captureTabScreenshot(cmd) {
+  const tab = await chrome.tabs.get(cmd.tabId);
+  if (RESTRICTED_URL_PATTERN.test(tab.url || '')) {
+    throw new Error(`Cannot capture ${tab.url}: the browser does not allow extensions to capture this page`);
+  }
+
+  const [previous] = await chrome.tabs.query({ active: true, windowId: tab.windowId });
+  const switched = previous && previous.id !== tab.id;
+  try {
+    if (switched) {
+      await chrome.tabs.update(tab.id, { active: true });
+      await new Promise(resolve => setTimeout(resolve, SCREENSHOT_PAINT_DELAY));
+    }
+    // Captured losslessly, so scaling and JPEG compression only happen once
+    const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+    const image = await encodeScreenshot(dataUrl, {
+      format: cmd.format,
+      quality: cmd.quality ?? 80,
+      maxWidth: cmd.maxWidth || DEFAULT_SCREENSHOT_WIDTH
+    });
+    return { ...image, title: tab.title, url: tab.url };
+  } finally {
+    if (switched) {
+      await chrome.tabs.update(previous.id, { active: true }).catch(() => {});
+    }
+  }
+}
+
+// Send the text of a loaded page to the native host for the MCP server's search index
+async function captureTabContent(tab) {
+  const settings = await getSettings();
+  if (!settings.captureContent || tab.incognito || RESTRICTED_URL_PATTERN.test(tab.url || '')) return;
+
+  const [injection] = await chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    func: extractPageMarkdown
+  });
+  const { title, url, markdown } = injection.result;
+  const browser = await getBrowserIdentity();
+  await sendNativeMessage({
+    action: 'tab_content',
+    browser: browser.id,
+    tabId: tab.id,
+    url,
+    title,
+    content: markdown.slice(0, MAX_CONTENT_LENGTH)
+  });
+}
+
 // Execute commands from Claude
 async function executeCommands(commands) {
   const results = [];
@@ -65,29 +909,73 @@ async function executeCommands(commands) {
   for (const cmd of commands) {
     if (cmd.status !== 'pending') continue;
 
+    const resultCount = results.length;
+    let undoState = null;
     try {
+      undoState = await captureUndoState(cmd).catch(() => null);
+
       switch (cmd.action) {
         case 'close_tabs': {
           if (cmd.tabIds && cmd.tabIds.length > 0) {
             await chrome.tabs.remove(cmd.tabIds);
-            results.push({ id: cmd.id, success: true, message: `Closed ${cmd.tabIds.length} tabs` });
+            const kept = cmd.keptTabIds || [];
+            results.push({
+              id: cmd.id,
+              success: true,
+              message: `Closed ${cmd.tabIds.length} tabs${kept.length > 0 ? ` (user kept ${kept.length} open)` : ''}`,
+              ...(kept.length > 0 && { keptTabIds: kept })
+            });
           }
           break;
         }
 
         case 'create_group': {
           if (cmd.tabIds && cmd.tabIds.length > 0) {
-            const groupId = await chrome.tabs.group({ tabIds: cmd.tabIds });
+            // With a groupId the tabs join that existing group, which keeps its title and color
+            if (cmd.groupId !== undefined) {
+              await chrome.tabs.group({ groupId: cmd.groupId, tabIds: cmd.tabIds });
+              results.push({ id: cmd.id, success: true, message: `Added ${cmd.tabIds.length} tabs to group "${cmd.groupName}"` });
+              break;
+            }
+            // A new group goes into the window given, or the current window
+            const groupId = await chrome.tabs.group({
+              tabIds: cmd.tabIds,
+              ...(cmd.windowId && { createProperties: { windowId: cmd.windowId } })
+            });
             await chrome.tabGroups.update(groupId, {
               title: cmd.groupName || 'Group',
               color: cmd.color || 'blue',
-              collapsed: true
+              collapsed: cmd.collapsed !== undefined ? cmd.collapsed : true
             });
             results.push({ id: cmd.id, success: true, message: `Created group "${cmd.groupName}"` });
           }
           break;
         }
 
+        case 'update_group': {
+          if (cmd.groupId !== undefined) {
+            const changes = {
+              ...(cmd.title !== undefined && { title: cmd.title }),
+              ...(cmd.color !== undefined && { color: cmd.color }),
+              ...(cmd.collapsed !== undefined && { collapsed: cmd.collapsed })
+            };
+            const group = await chrome.tabGroups.update(cmd.groupId, changes);
+            results.push({ id: cmd.id, success: true, message: `Updated group "${group.title}"` });
+          }
+          break;
+        }
+
+        case 'move_group': {
+          if (cmd.groupId !== undefined) {
+            await chrome.tabGroups.move(cmd.groupId, {
+              ...(cmd.windowId && { windowId: cmd.windowId }),
+              index: cmd.index !== undefined ? cmd.index : -1
+            });
+            results.push({ id: cmd.id, success: true, message: 'Moved group' });
+          }
+          break;
+        }
+
         case 'focus_tab': {
           if (cmd.tabId) {
             await chrome.tabs.update(cmd.tabId, { active: true });
@@ -122,41 +1010,195 @@ async function executeCommands(commands) {
           break;
         }
 
+        case 'read_content': {
+          if (cmd.tabId) {
+            const data = await readTabContent(cmd);
+            results.push({
+              id: cmd.id,
+              success: true,
+              message: `Read ${data.content.length} of ${data.totalLength} characters`,
+              data
+            });
+          }
+          break;
+        }
+
+        case 'capture_screenshot': {
+          if (cmd.tabId) {
+            const data = await captureTabScreenshot(cmd);
+            results.push({ id: cmd.id, success: true, message: `Captured ${data.width}x${data.height} screenshot`, data });
+          }
+          break;
+        }
+
+        case 'bookmark_tabs': {
+          if (cmd.tabIds && cmd.tabIds.length > 0) {
+            const data = await bookmarkTabs(cmd);
+            results.push({
+              id: cmd.id,
+              success: true,
+              message: `Bookmarked ${data.added} tabs in "${data.folder}"${data.skipped > 0 ? ` (${data.skipped} already there)` : ''}${data.closed > 0 ? `, closed ${data.closed}` : ''}`,
+              data
+            });
+          }
+          break;
+        }
+
+        case 'search_bookmarks': {
+          const data = await searchBookmarks(cmd);
+          results.push({ id: cmd.id, success: true, message: `Found ${data.total} bookmarks`, data });
+          break;
+        }
+
+        case 'open_bookmark_folder': {
+          const data = await openBookmarkFolder(cmd);
+          results.push({
+            id: cmd.id,
+            success: data.opened > 0 || data.skipped > 0,
+            message: `Opened ${data.opened} tabs from "${data.folder}"${data.skipped > 0 ? ` (${data.skipped} already open)` : ''}${data.failed > 0 ? ` (${data.failed} could not be opened)` : ''}`,
+            data
+          });
+          break;
+        }
+
+        case 'search_history': {
+          const data = await searchHistory(cmd);
+          results.push({ id: cmd.id, success: true, message: `Found ${data.results.length} history entries`, data });
+          break;
+        }
+
+        case 'list_recently_closed': {
+          const data = await listRecentlyClosed(cmd);
+          results.push({ id: cmd.id, success: true, message: `Listed ${data.results.length} recently closed tabs and windows`, data });
+          break;
+        }
+
+        case 'restore_closed_tab': {
+          if (cmd.sessionId || cmd.search) {
+            const data = await restoreClosedTab(cmd);
+            results.push({
+              id: cmd.id,
+              success: true,
+              message: data.type === 'tab' ? `Reopened "${data.title}"` : `Reopened a window with ${data.tabCount} tabs`,
+              data
+            });
+          }
+          break;
+        }
+
+        case 'restore_tabs': {
+          if (cmd.tabs && cmd.tabs.length > 0) {
+            const count = await restoreTabs(cmd.tabs);
+            results.push({ id: cmd.id, success: true, message: `Reopened ${count} tabs` });
+          }
+          break;
+        }
+
+        case 'restore_groups': {
+          if (cmd.tabs && cmd.tabs.length > 0) {
+            const tabs = await getTabsById(cmd.tabs.map(t => t.tabId));
+            const openIds = new Set(tabs.map(tab => tab.id));
+            await restoreTabGroups(cmd.tabs.filter(t => openIds.has(t.tabId)));
+            results.push({ id: cmd.id, success: true, message: `Restored groups of ${openIds.size} tabs` });
+          }
+          break;
+        }
+
+        case 'open_tabs': {
+          if (cmd.windows && cmd.windows.length > 0) {
+            const { opened, failed } = await openTabs(cmd);
+            results.push({
+              id: cmd.id,
+              success: opened > 0,
+              message: `Opened ${opened} tabs${failed > 0 ? ` (${failed} could not be opened)` : ''}`
+            });
+          }
+          break;
+        }
+
+        case 'move_to_window': {
+          if ((cmd.tabIds && cmd.tabIds.length > 0) || (cmd.groupIds && cmd.groupIds.length > 0)) {
+            const windowId = await moveToWindow(cmd);
+            results.push({ id: cmd.id, success: true, message: `Moved tabs to window ${windowId}` });
+          }
+          break;
+        }
+
+        case 'merge_windows': {
+          if (cmd.targetWindowId) {
+            const moved = await mergeWindows(cmd.targetWindowId);
+            results.push({ id: cmd.id, success: true, message: `Merged ${moved} tabs into window ${cmd.targetWindowId}` });
+          }
+          break;
+        }
+
+        case 'split_window': {
+          if (cmd.windows && cmd.windows.length > 0) {
+            for (const spec of cmd.windows) {
+              const tabs = await getTabsById(spec.tabIds || []);
+              if (tabs.length > 0) {
+                await moveToWindow({ tabIds: tabs.map(tab => tab.id), newWindow: true });
+              }
+            }
+            results.push({ id: cmd.id, success: true, message: `Split into ${cmd.windows.length} new windows` });
+          }
+          break;
+        }
+
+        case 'move_tabs': {
+          if (cmd.moves && cmd.moves.length > 0) {
+            for (const move of cmd.moves) {
+              try {
+                await chrome.tabs.move(move.tabId, { windowId: move.windowId, index: move.index });
+              } catch (e) {
+                // Tab may have been closed, continue with others
+              }
+            }
+            results.push({ id: cmd.id, success: true, message: `Moved ${cmd.moves.length} tabs` });
+          }
+          break;
+        }
+
         default:
           results.push({ id: cmd.id, success: false, message: `Unknown action: ${cmd.action}` });
       }
     } catch (error) {
       results.push({ id: cmd.id, success: false, message: error.message });
     }
+
+    // Every command gets a result so Claude can tell it was handled
+    if (results.length === resultCount) {
+      results.push({ id: cmd.id, success: false, message: 'Nothing to do: command has no tabs' });
+    }
+
+    const result = results[results.length - 1];
+    if (result.success && undoState) {
+      result.undoState = undoState;
+    }
   }
 
   return results;
 }
 
-// Fetch commands from native host
+// Fetch this browser's commands from native host
 async function fetchCommands() {
-  return new Promise((resolve, reject) => {
-    chrome.runtime.sendNativeMessage(NATIVE_HOST_NAME, { action: 'get_commands' }, response => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(chrome.runtime.lastError.message));
-      } else {
-        resolve(response);
-      }
-    });
-  });
+  const browser = await getBrowserIdentity();
+  return sendNativeMessage({ action: 'get_commands', browser: browser.id });
 }
 
-// Clear commands via native host
-async function clearCommands() {
-  return new Promise((resolve, reject) => {
-    chrome.runtime.sendNativeMessage(NATIVE_HOST_NAME, { action: 'clear_commands' }, response => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(chrome.runtime.lastError.message));
-      } else {
-        resolve(response);
-      }
-    });
-  });
+// Remove executed commands via native host, keeping any queued meanwhile, and report their results
+async function completeCommands(ids, results) {
+  return sendNativeMessage({ action: 'complete_commands', ids, results });
+}
+
+async function runCommands(commands, rejectedIds = []) {
+  const results = await executeCommands(commands);
+  // Commands the user declined in the popup are reported, not run
+  const rejections = rejectedIds.map(id => ({ id, success: false, rejected: true, message: 'Rejected by user' }));
+  await completeCommands([...commands.map(cmd => cmd.id), ...rejectedIds], [...results, ...rejections]).catch(() => {});
+  // Re-sync tabs after executing
+  await syncTabs().catch(() => {});
+  return results;
 }
 
 // Listen for messages from popup
@@ -168,6 +1210,26 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (message.action === 'getSettings') {
+    Promise.all([getSettings(), getBrowserIdentity()])
+      .then(([settings, browser]) => sendResponse({ success: true, settings, browser }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'updateSettings') {
+    updateSettings(message.settings || {})
+      .then(settings => {
+        if (settings.autoSync) scheduleAutoSync();
+        applyConnectionSettings();
+        getBrowserIdentity()
+          .then(browser => sendResponse({ success: true, settings, browser }))
+          .catch(() => sendResponse({ success: true, settings }));
+      })
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
   if (message.action === 'getTabs') {
     getAllTabs()
       .then(tabs => sendResponse({ success: true, tabs }))
@@ -183,15 +1245,14 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 
   if (message.action === 'executeCommands') {
-    const commands = message.commands || [];
-    executeCommands(commands)
-      .then(async (results) => {
-        // Clear executed commands
-        await clearCommands().catch(() => {});
-        // Re-sync tabs after executing
-        await syncTabs().catch(() => {});
-        sendResponse({ success: true, results });
-      })
+    const commands = (message.commands || []).filter(cmd => !handledCommandIds.has(cmd.id));
+    const rejectedIds = (message.rejectedIds || []).filter(id => !handledCommandIds.has(id));
+    commands.forEach(cmd => handledCommandIds.add(cmd.id));
+    rejectedIds.forEach(id => handledCommandIds.add(id));
+    const run = commandQueue.then(() => runCommands(commands, rejectedIds));
+    commandQueue = run.catch(() => {});
+    run
+      .then(results => sendResponse({ success: true, results }))
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true;
   }
@@ -4,8 +4,18 @@ const statusEl = document.getElementById('status');
 const commandsSection = document.getElementById('commandsSection');
 const commandsList = document.getElementById('commandsList');
 const executeBtn = document.getElementById('executeBtn');
+const autoSyncToggle = document.getElementById('autoSyncToggle');
+const autoSyncDelay = document.getElementById('autoSyncDelay');
+const handsFreeToggle = document.getElementById('handsFreeToggle');
+const browserNameInput = document.getElementById('browserName');
+const captureContentToggle = document.getElementById('captureContentToggle');
+const autoRunSection = document.getElementById('autoRunSection');
+const autoRunCheckboxes = document.querySelectorAll('input[name="autoRunAction"]');
 
 let pendingCommands = [];
+let tabsById = new Map();
+// Per command: whether the user approves it, and which of its tabs they want to keep open
+const approvals = new Map();
 
 async function loadStats() {
   chrome.runtime.sendMessage({ action: 'getTabs' }, response => {
@@ -13,6 +23,8 @@ async function loadStats() {
       const tabs = response.tabs;
       const domains = new Set(tabs.map(t => t.domain)).size;
       statsEl.textContent = `${tabs.length} tabs across ${domains} domains`;
+      tabsById = new Map(tabs.map(t => [t.id, t]));
+      updateCommandsUI();
     } else {
       statsEl.textContent = 'Could not load tabs';
     }
@@ -26,6 +38,163 @@ async function loadCommands() {
   });
 }
 
+async function loadSettings() {
+  chrome.runtime.sendMessage({ action: 'getSettings' }, response => {
+    if (!response?.success) return;
+    updateSettingsUI(response.settings, response.browser);
+  });
+}
+
+function updateSettingsUI(settings, browser) {
+  autoSyncToggle.checked = settings.autoSync;
+  autoSyncDelay.value = settings.autoSyncDelay / 1000;
+  autoSyncDelay.disabled = !settings.autoSync;
+  handsFreeToggle.checked = settings.handsFree;
+  captureContentToggle.checked = settings.captureContent;
+  browserNameInput.value = settings.browserName;
+  if (browser) browserNameInput.placeholder = browser.detectedName;
+  autoRunSection.classList.toggle('visible', settings.handsFree);
+  autoRunCheckboxes.forEach(checkbox => {
+    checkbox.checked = settings.autoRunActions.includes(checkbox.value);
+  });
+}
+
+function saveSettings() {
+  const settings = {
+    autoSync: autoSyncToggle.checked,
+    autoSyncDelay: Math.round(parseFloat(autoSyncDelay.value) * 1000),
+    handsFree: handsFreeToggle.checked,
+    captureContent: captureContentToggle.checked,
+    browserName: browserNameInput.value,
+    autoRunActions: [...autoRunCheckboxes].filter(c => c.checked).map(c => c.value)
+  };
+  chrome.runtime.sendMessage({ action: 'updateSettings', settings }, response => {
+    if (response?.success) {
+      updateSettingsUI(response.settings, response.browser);
+    } else {
+      showStatus('Error: ' + (response?.error || 'Could not save settings'), true);
+    }
+  });
+}
+
+// The tabs a command affects: open tabs by id, or tabs it is about to open
+function getCommandTabs(cmd) {
+  let tabIds = [];
+  switch (cmd.action) {
+    case 'focus_tab':
+    case 'read_content':
+    case 'capture_screenshot':
+      tabIds = [cmd.tabId];
+      break;
+    case 'shuffle_tabs':
+    case 'move_tabs':
+      tabIds = (cmd.moves || []).map(move => move.tabId);
+      break;
+    case 'restore_groups':
+      tabIds = (cmd.tabs || []).map(t => t.tabId);
+      break;
+    case 'move_to_window': {
+      const groupIds = cmd.groupIds || [];
+      const groupTabIds = [...tabsById.values()].filter(t => groupIds.includes(t.groupId)).map(t => t.id);
+      tabIds = [...groupTabIds, ...(cmd.tabIds || [])];
+      break;
+    }
+    case 'update_group':
+    case 'move_group':
+      tabIds = [...tabsById.values()].filter(t => t.groupId === cmd.groupId).map(t => t.id);
+      break;
+    case 'merge_windows':
+      tabIds = [...tabsById.values()].filter(t => t.windowId !== cmd.targetWindowId).map(t => t.id);
+      break;
+    case 'split_window':
+      tabIds = (cmd.windows || []).flatMap(w => w.tabIds || []);
+      break;
+    case 'restore_tabs':
+      return cmd.tabs || [];
+    case 'open_tabs':
+      return (cmd.windows || []).flatMap(w => w.tabs || []);
+    default:
+      tabIds = cmd.tabIds || [];
+  }
+  return tabIds.map(id => tabsById.get(id) || { id, title: `Tab ${id} (no longer open)`, url: '' });
+}
+
+function getApproval(cmd) {
+  if (!approvals.has(cmd.id)) {
+    approvals.set(cmd.id, { approved: true, keptTabIds: new Set() });
+  }
+  return approvals.get(cmd.id);
+}
+
+function renderTab(tab, cmd, approval) {
+  const item = document.createElement('li');
+  item.className = 'command-tab';
+
+  // Only closing lets the user pick individual tabs
+  if (cmd.action === 'close_tabs' && tab.id !== undefined) {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !approval.keptTabIds.has(tab.id);
+    checkbox.title = 'Close this tab';
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        approval.keptTabIds.delete(tab.id);
+      } else {
+        approval.keptTabIds.add(tab.id);
+      }
+    });
+    item.appendChild(checkbox);
+  }
+
+  const favicon = document.createElement('img');
+  favicon.className = 'favicon';
+  if (tab.favIconUrl && !tab.favIconUrl.startsWith('chrome://')) {
+    favicon.src = tab.favIconUrl;
+  }
+  item.appendChild(favicon);
+
+  const text = document.createElement('div');
+  text.className = 'tab-text';
+  const title = document.createElement('div');
+  title.className = 'tab-title';
+  title.textContent = tab.title || tab.url;
+  const url = document.createElement('div');
+  url.className = 'tab-url';
+  url.textContent = tab.url;
+  text.append(title, url);
+  item.appendChild(text);
+
+  return item;
+}
+
+function renderCommand(cmd) {
+  const approval = getApproval(cmd);
+  const tabs = getCommandTabs(cmd);
+
+  const item = document.createElement('details');
+  item.className = 'command-item';
+
+  const summary = document.createElement('summary');
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = approval.approved;
+  checkbox.title = 'Approve this command';
+  checkbox.addEventListener('change', () => {
+    approval.approved = checkbox.checked;
+    item.classList.toggle('rejected', !checkbox.checked);
+  });
+  item.classList.toggle('rejected', !approval.approved);
+  summary.append(checkbox, ` ${cmd.description || cmd.action}`);
+  item.appendChild(summary);
+
+  const list = document.createElement('ul');
+  list.className = 'command-tabs';
+  tabs.forEach(tab => list.appendChild(renderTab(tab, cmd, approval)));
+  item.appendChild(list);
+
+  return item;
+}
+
 function updateCommandsUI() {
   if (pendingCommands.length === 0) {
     commandsSection.classList.remove('visible');
@@ -33,9 +202,34 @@ function updateCommandsUI() {
   }
 
   commandsSection.classList.add('visible');
-  commandsList.innerHTML = pendingCommands
-    .map(cmd => `<div class="command-item">&bull; ${cmd.description || cmd.action}</div>`)
-    .join('');
+  commandsList.replaceChildren(...pendingCommands.map(renderCommand));
+}
+
+// Split pending commands into approved ones (narrowed to the tabs the user agreed to close) and rejected ids
+function collectApprovals() {
+  const approved = [];
+  const rejectedIds = [];
+
+  for (const cmd of pendingCommands) {
+    const approval = getApproval(cmd);
+    if (!approval.approved) {
+      rejectedIds.push(cmd.id);
+      continue;
+    }
+
+    if (cmd.action === 'close_tabs' && approval.keptTabIds.size > 0) {
+      const tabIds = cmd.tabIds.filter(id => !approval.keptTabIds.has(id));
+      if (tabIds.length === 0) {
+        rejectedIds.push(cmd.id);
+        continue;
+      }
+      approved.push({ ...cmd, tabIds, keptTabIds: [...approval.keptTabIds] });
+    } else {
+      approved.push(cmd);
+    }
+  }
+
+  return { approved, rejectedIds };
 }
 
 function showStatus(message, isError = false) {
@@ -61,6 +255,13 @@ syncBtn.addEventListener('click', async () => {
   });
 });
 
+autoSyncToggle.addEventListener('change', saveSettings);
+autoSyncDelay.addEventListener('change', saveSettings);
+handsFreeToggle.addEventListener('change', saveSettings);
+browserNameInput.addEventListener('change', saveSettings);
+captureContentToggle.addEventListener('change', saveSettings);
+autoRunCheckboxes.forEach(checkbox => checkbox.addEventListener('change', saveSettings));
+
 executeBtn.addEventListener('click', async () => {
   if (pendingCommands.length === 0) return;
 
@@ -68,15 +269,19 @@ executeBtn.addEventListener('click', async () => {
   executeBtn.textContent = 'Executing...';
   statusEl.className = 'status';
 
-  chrome.runtime.sendMessage({ action: 'executeCommands', commands: pendingCommands }, response => {
+  const { approved, rejectedIds } = collectApprovals();
+
+  chrome.runtime.sendMessage({ action: 'executeCommands', commands: approved, rejectedIds }, response => {
     executeBtn.disabled = false;
     executeBtn.textContent = 'Execute Commands';
 
     if (response.success) {
       const results = response.results || [];
       const successCount = results.filter(r => r.success).length;
-      showStatus(`Executed ${successCount} command(s) successfully!`);
+      const rejectedMessage = rejectedIds.length > 0 ? ` Rejected ${rejectedIds.length}.` : '';
+      showStatus(`Executed ${successCount} command(s) successfully!${rejectedMessage}`);
       pendingCommands = [];
+      approvals.clear();
       updateCommandsUI();
       loadStats(); // Refresh stats after execution
     } else {
@@ -87,4 +292,5 @@ executeBtn.addEventListener('click', async () => {
 
 // Initial load
 loadStats();
+loadSettings();
 loadCommands();
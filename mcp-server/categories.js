@@ -0,0 +1,145 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const RULES_FILE = path.join(__dirname, '..', 'category-rules.json');
+
+export const GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+export const MATCH_FIELDS = ['domain', 'url', 'title'];
+export const MATCH_TYPES = ['substring', 'glob', 'regex'];
+
+// Rules added without a priority for a new category beat all built-in rules
+export const CUSTOM_RULE_PRIORITY = 200;
+
+// Built-in categories, highest priority first (first match wins, as before).
+// Each pattern becomes one substring rule on the URL, unless it names its own field and type.
+const DEFAULT_CATEGORIES = [
+  { category: 'GitHub', color: 'green', patterns: ['github.com', 'gitlab.com', 'bitbucket.org'] },
+  { category: 'Jira', color: 'blue', patterns: ['atlassian.net/browse', 'atlassian.net/jira', 'atlassian.com', 'jira.'] },
+  { category: 'Confluence', color: 'blue', patterns: ['atlassian.net/wiki'] },
+  { category: 'Productivity', color: 'purple', patterns: ['notion.so', 'docs.google.com', 'sheets.google.com', 'drive.google.com', 'trello.com', 'asana.com'] },
+  { category: 'Docs', color: 'purple', patterns: ['docs.', '/docs/', 'documentation', 'readme', 'knip.dev', 'nx.dev', 'npmjs.com', 'developer.', 'devdocs.io', 'mdn.', 'w3schools', 'stackoverflow.com'] },
+  { category: 'Local Dev', color: 'yellow', patterns: ['localhost', '127.0.0.1', '0.0.0.0'] },
+  { category: 'AI Tools', color: 'pink', patterns: ['claude.ai', 'chat.openai.com', 'chatgpt.com', 'anthropic.com', 'huggingface.co', 'code.claude'] },
+  { category: 'Communication', color: 'cyan', patterns: ['mail.google.com', 'outlook.', 'slack.com'] },
+  { category: 'Meetings', color: 'orange', patterns: ['zoom.us', 'meet.google', 'teams.microsoft', 'webex', 'calendar'] },
+  { category: 'News', color: 'grey', patterns: ['news.', 'cnn.com', 'bbc.', 'nytimes.com', 'theguardian.com'] },
+  { category: 'Articles', color: 'cyan', patterns: ['medium.com', 'dev.to', 'reddit.com', 'hackernews', 'news.ycombinator', 'blog', 'substack.com', 'hashnode.', 'freecodecamp'] },
+  { category: 'Metrics', color: 'red', patterns: ['datadog', 'grafana', 'prometheus', 'newrelic', 'dora', 'analytics', 'sonarcloud', 'sonarqube', 'snyk.io', 'backstage'] },
+  { category: 'Support', color: 'grey', patterns: ['service-now', 'servicenow', 'zendesk', 'freshdesk', 'support.', 'helpdesk'] },
+  { category: 'Social', color: 'pink', patterns: [
+    'twitter.com',
+    // A substring would also match netflix.com and every other *x.com host
+    { field: 'domain', type: 'glob', pattern: 'x.com' },
+    'facebook.com', 'linkedin.com', 'instagram.com', 'discord.com',
+    { field: 'domain', type: 'glob', pattern: '*.x.com' }
+  ] },
+  { category: 'Shopping', color: 'orange', patterns: ['amazon.', 'ebay.', 'etsy.com', 'apple.com/shop', 'store.', 'shop.', 'checkout', 'cart'] },
+  { category: 'Entertainment', color: 'red', patterns: ['youtube.com', 'netflix.com', 'spotify.com', 'twitch.tv', 'hulu.com', 'disneyplus.com'] },
+  { category: 'Search', color: 'grey', patterns: ['google.com/search', 'bing.com/search', 'duckduckgo.com'] }
+];
+
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'rule';
+}
+
+export const DEFAULT_CATEGORY_RULES = DEFAULT_CATEGORIES.flatMap((c, i) =>
+  c.patterns.map((pattern, j) => ({
+    id: `${slugify(c.category)}-${j + 1}`,
+    category: c.category,
+    color: c.color,
+    priority: (DEFAULT_CATEGORIES.length - i) * 10,
+    field: 'url',
+    type: 'substring',
+    ...(typeof pattern === 'string' ? { pattern } : pattern)
+  }))
+);
+
+// category-rules.json holds the full rule list once it has been edited
+export function loadCategoryRules() {
+  if (!fs.existsSync(RULES_FILE)) {
+    return DEFAULT_CATEGORY_RULES;
+  }
+  return JSON.parse(fs.readFileSync(RULES_FILE, 'utf8'));
+}
+
+export function saveCategoryRules(rules) {
+  fs.writeFileSync(RULES_FILE, JSON.stringify(rules, null, 2), 'utf8');
+}
+
+export function nextRuleId(rules, category) {
+  const prefix = `${slugify(category)}-`;
+  const numbers = rules
+    .filter(r => r.id.startsWith(prefix))
+    .map(r => parseInt(r.id.slice(prefix.length), 10))
+    .filter(Number.isFinite);
+  return `${prefix}${Math.max(0, ...numbers) + 1}`;
+}
+
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+}
+
+// Returns an error message, or null if the rule is usable
+export function validateCategoryRule(rule) {
+  if (!rule.category) return 'category is required';
+  if (!rule.pattern) return 'pattern is required';
+  if (!MATCH_FIELDS.includes(rule.field)) return `field must be one of: ${MATCH_FIELDS.join(', ')}`;
+  if (!MATCH_TYPES.includes(rule.type)) return `type must be one of: ${MATCH_TYPES.join(', ')}`;
+  if (!GROUP_COLORS.includes(rule.color)) return `color must be one of: ${GROUP_COLORS.join(', ')}`;
+  if (rule.type === 'regex') {
+    try {
+      new RegExp(rule.pattern);
+    } catch (error) {
+      return `invalid regex: ${error.message}`;
+    }
+  }
+  return null;
+}
+
+export function matchesCategoryRule(rule, tab) {
+  const value = String(tab[rule.field] || '');
+  switch (rule.type) {
+    case 'glob':
+      return globToRegExp(rule.pattern).test(value);
+    case 'regex':
+      return new RegExp(rule.pattern, 'i').test(value);
+    default:
+      return value.toLowerCase().includes(rule.pattern.toLowerCase());
+  }
+}
+
+// Matching rules, best first: higher priority, then earlier in the list
+export function findMatchingRules(tab, rules = loadCategoryRules()) {
+  return rules
+    .map((rule, index) => ({ rule, index }))
+    .filter(({ rule }) => matchesCategoryRule(rule, tab))
+    .sort((a, b) => (b.rule.priority || 0) - (a.rule.priority || 0) || a.index - b.index)
+    .map(({ rule }) => rule);
+}
+
+export function categorizeTab(tab, rules = loadCategoryRules()) {
+  return findMatchingRules(tab, rules)[0] || null;
+}
+
+// Bucket tabs by category; tabs no rule matches are returned separately
+export function categorizeTabs(tabs, rules = loadCategoryRules()) {
+  const categories = {};
+  const uncategorized = [];
+
+  tabs.forEach(tab => {
+    const rule = categorizeTab(tab, rules);
+    if (!rule) {
+      uncategorized.push(tab);
+      return;
+    }
+    if (!categories[rule.category]) {
+      categories[rule.category] = { color: rule.color, tabs: [] };
+    }
+    categories[rule.category].tabs.push(tab);
+  });
+
+  return { categories, uncategorized };
+}
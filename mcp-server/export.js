@@ -0,0 +1,138 @@
+export const EXPORT_FORMATS = ['markdown', 'html', 'csv', 'json'];
+export const EXPORT_GROUPINGS = ['group', 'window'];
+
+// Tabs arranged for export as { sections, tabs }: one section per window (when grouping by
+// window) holding one section per tab group, with ungrouped tabs directly in their parent.
+// Windows come in as [{ label, tabs }] in tab strip order; findGroup looks up a tab's group.
+export function buildOutline(windows, findGroup, groupBy) {
+  const sectionFor = windowTabs => {
+    const groups = new Map();
+    const ungrouped = [];
+    windowTabs.forEach(tab => {
+      const group = findGroup(tab);
+      if (!group) {
+        ungrouped.push(tab);
+        return;
+      }
+      if (!groups.has(group)) {
+        groups.set(group, { type: 'group', title: group.title || 'Untitled group', color: group.color, sections: [], tabs: [] });
+      }
+      groups.get(group).tabs.push(tab);
+    });
+    return { sections: [...groups.values()], tabs: ungrouped };
+  };
+
+  if (groupBy === 'window') {
+    return {
+      sections: windows.map(w => ({ type: 'window', title: w.label, ...sectionFor(w.tabs) })),
+      tabs: []
+    };
+  }
+  return sectionFor(windows.flatMap(w => w.tabs));
+}
+
+function escapeMarkdown(text) {
+  return (text || '').replace(/([\[\]\\])/g, '\\$1');
+}
+
+function markdownLinks(tabs) {
+  return tabs.map(t => `- [${escapeMarkdown(t.title) || t.url}](${t.url.replace(/\)/g, '%29').replace(/ /g, '%20')})`);
+}
+
+// Headings per window and group (with the group color), tabs as link lists
+export function formatMarkdown(outline, title) {
+  const renderBody = (section, level) => {
+    const parts = section.sections.map(s =>
+      `${'#'.repeat(level)} ${s.title}${s.color ? ` (${s.color})` : ''}\n\n${renderBody(s, level + 1)}`
+    );
+    if (section.tabs.length > 0) {
+      const links = markdownLinks(section.tabs).join('\n');
+      parts.push(section.sections.length > 0 ? `${'#'.repeat(level)} Ungrouped\n\n${links}` : links);
+    }
+    return parts.join('\n\n');
+  };
+
+  return `# ${title}\n\n${renderBody(outline, 2)}\n`;
+}
+
+function escapeHtml(text) {
+  return (text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Netscape bookmark file, as read by every browser's bookmark import. Groups become folders;
+// their color is kept in a DATA-COLOR attribute, which browsers ignore and import_tabs reads.
+export function formatBookmarksHtml(outline, title) {
+  const addDate = Math.floor(Date.now() / 1000);
+  const render = (section, indent) => {
+    const pad = '    '.repeat(indent);
+    return [
+      ...section.sections.flatMap(s => [
+        `${pad}<DT><H3 ADD_DATE="${addDate}"${s.color ? ` DATA-COLOR="${s.color}"` : ''}>${escapeHtml(s.title)}</H3>`,
+        `${pad}<DL><p>`,
+        ...render(s, indent + 1),
+        `${pad}</DL><p>`
+      ]),
+      ...section.tabs.map(t =>
+        `${pad}<DT><A HREF="${escapeHtml(t.url)}" ADD_DATE="${addDate}">${escapeHtml(t.title || t.url)}</A>`
+      )
+    ];
+  };
+
+  return [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    `<TITLE>${escapeHtml(title)}</TITLE>`,
+    `<H1>${escapeHtml(title)}</H1>`,
+    '<DL><p>',
+    ...render(outline, 1),
+    '</DL><p>',
+    ''
+  ].join('\n');
+}
+
+// One row per tab, in outline order, with the group it is in
+function flattenOutline(section, group = null) {
+  return [
+    ...section.sections.flatMap(s => flattenOutline(s, s.type === 'group' ? s : group)),
+    ...section.tabs.map(tab => ({ tab, group }))
+  ];
+}
+
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function formatCsv(outline, { browserName }) {
+  const header = ['title', 'url', 'domain', 'group', 'group_color', 'window', 'browser', 'pinned', 'last_accessed'];
+  const rows = flattenOutline(outline).map(({ tab, group }) => [
+    tab.title,
+    tab.url,
+    tab.domain,
+    group?.title,
+    group?.color,
+    tab.windowId,
+    browserName(tab),
+    tab.pinned ? 'true' : 'false',
+    tab.lastAccessed ? new Date(tab.lastAccessed).toISOString() : ''
+  ]);
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+export function formatJson(outline, { browserName }) {
+  const tabs = flattenOutline(outline).map(({ tab, group }) => ({
+    title: tab.title,
+    url: tab.url,
+    domain: tab.domain,
+    ...(group && { group: { title: group.title, color: group.color } }),
+    windowId: tab.windowId,
+    browser: browserName(tab),
+    pinned: !!tab.pinned,
+    ...(tab.lastAccessed && { lastAccessed: new Date(tab.lastAccessed).toISOString() })
+  }));
+  return JSON.stringify({ exportedAt: new Date().toISOString(), tabCount: tabs.length, tabs }, null, 2) + '\n';
+}
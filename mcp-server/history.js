@@ -0,0 +1,160 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.join(__dirname, '..');
+// One history file per browser: tabs-history.<browser id>.jsonl, or tabs-history.jsonl from
+// extensions without a browser identity
+const HISTORY_FILE_PATTERN = /^tabs-history(?:\.(.+))?\.jsonl$/;
+export const DEFAULT_BROWSER_ID = 'default';
+
+function getDomain(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return '';
+  }
+}
+
+// Local calendar day, e.g. "2024-05-31"
+function dayKey(timestamp) {
+  const date = new Date(timestamp);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function loadHistoryFile(file, browser, since) {
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(entry => entry && new Date(entry.t).getTime() >= since)
+    .map(entry => ({
+      browser,
+      timestamp: entry.t,
+      windowCount: entry.windows,
+      groups: entry.groups || [],
+      tabs: entry.tabs.map(([url, title]) => ({ url, title, domain: getDomain(url) }))
+    }));
+}
+
+// Snapshots written by the native host, oldest first, as { browser, timestamp, windowCount, groups, tabs: [{ url, title, domain }] }.
+// Each snapshot covers one browser; the functions below work per browser and add the browsers up.
+export function loadHistory({ days, browsers } = {}) {
+  const since = days ? Date.now() - days * 24 * 60 * 60 * 1000 : 0;
+  return fs.readdirSync(DATA_DIR)
+    .map(file => ({ file, match: file.match(HISTORY_FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({ file, browser: match[1] || DEFAULT_BROWSER_ID }))
+    .filter(({ browser }) => !browsers || browsers.includes(browser))
+    .flatMap(({ file, browser }) => loadHistoryFile(path.join(DATA_DIR, file), browser, since))
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+function groupByBrowser(history) {
+  const byBrowser = new Map();
+  history.forEach(snapshot => {
+    byBrowser.set(snapshot.browser, [...(byBrowser.get(snapshot.browser) || []), snapshot]);
+  });
+  return [...byBrowser.values()];
+}
+
+// Per day, summed over the browsers that synced that day: a browser only counts on the days it has snapshots
+export function getDailyTabCounts(history) {
+  const days = new Map();
+  groupByBrowser(history).forEach(snapshots => {
+    const browserDays = new Map();
+    snapshots.forEach(snapshot => {
+      const key = dayKey(snapshot.timestamp);
+      const count = snapshot.tabs.length;
+      const day = browserDays.get(key) || { snapshots: 0, min: count, max: count, last: count, maxWindows: 0 };
+      day.snapshots++;
+      day.min = Math.min(day.min, count);
+      day.max = Math.max(day.max, count);
+      day.last = count;
+      day.maxWindows = Math.max(day.maxWindows, snapshot.windowCount || 0);
+      browserDays.set(key, day);
+    });
+    browserDays.forEach((browserDay, key) => {
+      const day = days.get(key) || { day: key, snapshots: 0, min: 0, max: 0, last: 0, maxWindows: 0 };
+      Object.keys(browserDay).forEach(field => { day[field] += browserDay[field]; });
+      days.set(key, day);
+    });
+  });
+  return [...days.values()].sort((a, b) => a.day.localeCompare(b.day));
+}
+
+function countDomains(snapshot) {
+  const counts = {};
+  snapshot.tabs.forEach(t => { counts[t.domain] = (counts[t.domain] || 0) + 1; });
+  return counts;
+}
+
+// Compare each browser's first and last snapshot and add the browsers up: which domains gained
+// the most tabs, and their peak
+export function getDomainTrends(history) {
+  const first = {};
+  const last = {};
+  const peak = {};
+  const add = (totals, counts) => {
+    Object.entries(counts).forEach(([domain, count]) => { totals[domain] = (totals[domain] || 0) + count; });
+  };
+
+  groupByBrowser(history).forEach(snapshots => {
+    add(first, countDomains(snapshots[0]));
+    add(last, countDomains(snapshots[snapshots.length - 1]));
+    const browserPeak = {};
+    snapshots.forEach(snapshot => {
+      Object.entries(countDomains(snapshot)).forEach(([domain, count]) => {
+        browserPeak[domain] = Math.max(browserPeak[domain] || 0, count);
+      });
+    });
+    add(peak, browserPeak);
+  });
+
+  return Object.keys(peak)
+    .map(domain => ({
+      domain,
+      first: first[domain] || 0,
+      last: last[domain] || 0,
+      peak: peak[domain],
+      change: (last[domain] || 0) - (first[domain] || 0)
+    }))
+    .sort((a, b) => b.change - a.change || b.last - a.last);
+}
+
+// Every URL matching the search, with when it was first and last seen open
+export function findTabAppearances(history, search) {
+  const s = search.toLowerCase();
+  const byUrl = new Map();
+
+  history.forEach(snapshot => {
+    snapshot.tabs.forEach(tab => {
+      if (!tab.url.toLowerCase().includes(s) && !(tab.title || '').toLowerCase().includes(s)) return;
+
+      const seen = byUrl.get(tab.url);
+      if (seen) {
+        seen.lastSeen = snapshot.timestamp;
+        seen.title = tab.title || seen.title;
+        seen.snapshots++;
+      } else {
+        byUrl.set(tab.url, {
+          url: tab.url,
+          title: tab.title,
+          firstSeen: snapshot.timestamp,
+          lastSeen: snapshot.timestamp,
+          snapshots: 1
+        });
+      }
+    });
+  });
+
+  return [...byUrl.values()].sort((a, b) => a.firstSeen.localeCompare(b.firstSeen));
+}
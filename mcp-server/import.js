@@ -0,0 +1,148 @@
+export const IMPORT_FORMATS = ['auto', 'html', 'onetab', 'markdown'];
+
+// Only pages a tab can show; bookmarklets (javascript:) and browser-internal places are left out
+const IMPORTABLE_URL_PATTERN = /^(https?|ftp|file):/i;
+const URL_IN_TEXT_PATTERN = /\b(?:https?|ftp|file):\/\/[^\s<>"'`)\]]+/gi;
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (m, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+function stripTags(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, '')).trim();
+}
+
+function getAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? decodeEntities(match[2] ?? match[3] ?? match[4]) : null;
+}
+
+// Collects links into groups keyed by title, keeping the order groups first appear in
+function createCollector() {
+  const groups = [];
+  const links = [];
+  return {
+    add(url, title, group) {
+      if (!IMPORTABLE_URL_PATTERN.test(url)) return;
+      let index;
+      if (group) {
+        index = groups.findIndex(g => g.title === group.title);
+        if (index === -1) {
+          groups.push({ title: group.title, ...(group.color && { color: group.color }) });
+          index = groups.length - 1;
+        }
+      }
+      links.push({ url, title: title || url, ...(index !== undefined && { group: index }) });
+    },
+    result: () => ({ groups, links })
+  };
+}
+
+// Netscape bookmark HTML: each link joins the innermost folder it is in. Folder colors written
+// by export_tabs (DATA-COLOR) are kept.
+export function parseBookmarksHtml(html) {
+  const collector = createCollector();
+  const folders = [];
+  let pendingFolder = null;
+
+  const tokens = html.matchAll(/<h3\b([^>]*)>([\s\S]*?)<\/h3>|<dl\b[^>]*>|<\/dl>|<a\b([^>]*)>([\s\S]*?)<\/a>/gi);
+  for (const [token, folderAttributes, folderTitle, linkAttributes, linkTitle] of tokens) {
+    const lower = token.slice(0, 4).toLowerCase();
+    if (lower.startsWith('<h3')) {
+      pendingFolder = { title: stripTags(folderTitle), color: getAttribute(`<h3 ${folderAttributes}`, 'data-color') };
+    } else if (lower.startsWith('<dl')) {
+      // The top-level list has no folder heading
+      folders.push(pendingFolder);
+      pendingFolder = null;
+    } else if (lower.startsWith('</dl')) {
+      folders.pop();
+    } else {
+      const url = getAttribute(`<a ${linkAttributes}`, 'href');
+      const folder = [...folders].reverse().find(Boolean);
+      if (url) collector.add(url, stripTags(linkTitle), folder);
+    }
+  }
+  return collector.result();
+}
+
+// OneTab export: "url | title" per line, blank lines between tab groups (which have no names)
+export function parseOneTab(text) {
+  const collector = createCollector();
+  const blocks = text.split(/\r?\n\s*\r?\n/).map(block => block.split(/\r?\n/).filter(line => line.trim()));
+  const nonEmpty = blocks.filter(block => block.length > 0);
+
+  nonEmpty.forEach((block, i) => {
+    // A single block is just a list of tabs
+    const group = nonEmpty.length > 1 ? { title: `OneTab ${i + 1}` } : null;
+    block.forEach(line => {
+      const separator = line.indexOf(' | ');
+      const url = (separator === -1 ? line : line.slice(0, separator)).trim();
+      const title = separator === -1 ? '' : line.slice(separator + 3).trim();
+      collector.add(url, title, group);
+    });
+  });
+  return collector.result();
+}
+
+// Markdown or plain text: [title](url) links and bare URLs, grouped under the nearest heading.
+// A top-level heading above smaller ones is the document title, not a group. Headings written by
+// export_tabs ("GitHub (green)", "Ungrouped") keep their color, or leave their links ungrouped.
+export function parseMarkdown(text, colors = []) {
+  const collector = createCollector();
+  const hasSubheadings = /^\s{0,3}#{2,6}\s/m.test(text);
+  let group = null;
+
+  text.split(/\r?\n/).forEach(line => {
+    const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      const [, level, headingText] = heading;
+      const colorMatch = headingText.match(/^(.*?)\s*\((\w+)\)$/);
+      const color = colorMatch && colors.includes(colorMatch[2]) ? colorMatch[2] : null;
+      const title = color ? colorMatch[1] : headingText;
+      group = (level.length === 1 && hasSubheadings) || title.toLowerCase() === 'ungrouped'
+        ? null
+        : { title, ...(color && { color }) };
+      return;
+    }
+
+    // Links in the order they appear; a bare URL inside a Markdown link is not counted again
+    const links = [...line.matchAll(/\[((?:\\.|[^\]\\])*)\]\(\s*<?((?:[^()\s>]|\([^()\s]*\))+)>?(?:\s+"[^"]*")?\s*\)/g)]
+      .map(m => ({ at: m.index, end: m.index + m[0].length, url: m[2], title: m[1].replace(/\\(.)/g, '$1') }));
+    for (const m of line.matchAll(URL_IN_TEXT_PATTERN)) {
+      if (links.some(link => m.index >= link.at && m.index < link.end)) continue;
+      links.push({ at: m.index, url: m[0].replace(/[.,;:!?]+$/, ''), title: '' });
+    }
+    links
+      .sort((a, b) => a.at - b.at)
+      .forEach(link => collector.add(link.url, link.title, group));
+  });
+  return collector.result();
+}
+
+export function detectImportFormat(text) {
+  if (/<a\s[^>]*href\s*=/i.test(text)) return 'html';
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  const oneTabLines = lines.filter(line => /^\S+:\/\/\S+ \| /.test(line) || /^\S+:\/\/\S+$/.test(line.trim()));
+  if (lines.length > 0 && oneTabLines.length === lines.length && lines.some(line => line.includes(' | '))) {
+    return 'onetab';
+  }
+  return 'markdown';
+}
+
+// Links as { groups: [{ title, color }], links: [{ url, title, group (index) }] }
+export function parseTabList(text, format = 'auto', colors = []) {
+  const resolved = format === 'auto' ? detectImportFormat(text) : format;
+  const parsed = {
+    html: () => parseBookmarksHtml(text),
+    onetab: () => parseOneTab(text),
+    markdown: () => parseMarkdown(text, colors)
+  }[resolved]();
+  return { format: resolved, ...parsed };
+}
@@ -5,30 +5,838 @@ import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  McpError,
+  ErrorCode,
 } from '@modelcontextprotocol/sdk/types.js';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { findDuplicates, normalizeUrl, loadDuplicateRules, KEEP_POLICIES } from './url-normalize.js';
+import {
+  loadCategoryRules,
+  saveCategoryRules,
+  nextRuleId,
+  validateCategoryRule,
+  findMatchingRules,
+  categorizeTabs,
+  GROUP_COLORS,
+  MATCH_FIELDS,
+  MATCH_TYPES,
+  CUSTOM_RULE_PRIORITY
+} from './categories.js';
+import { loadHistory, getDailyTabCounts, getDomainTrends, findTabAppearances, DEFAULT_BROWSER_ID } from './history.js';
+import { updateIndex, searchIndex } from './search-index.js';
+import { buildOutline, formatMarkdown, formatBookmarksHtml, formatCsv, formatJson, EXPORT_FORMATS, EXPORT_GROUPINGS } from './export.js';
+import { parseTabList, IMPORT_FORMATS } from './import.js';
+import { loadStash, saveStash, addToStash, filterStash, hasStashFilter } from './stash.js';
+import { buildOutputSchema } from './output-schemas.js';
+import { PROMPTS, buildPrompt, getPromptArgumentsError } from './prompts.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const TABS_FILE = path.join(__dirname, '..', 'tabs-data.json');
+const DATA_DIR = path.join(__dirname, '..');
+// The native host writes one snapshot per browser/profile as tabs-data.<browser id>.json;
+// tabs-data.json comes from extensions that don't identify their browser
+const TABS_FILE_PATTERN = /^tabs-data(?:\..+)?\.json$/;
 const COMMANDS_FILE = path.join(__dirname, '..', 'commands.json');
+const RESULTS_FILE = path.join(__dirname, '..', 'command-results.json');
+const UNDO_FILE = path.join(__dirname, '..', 'undo-history.json');
+const SESSIONS_FILE = path.join(__dirname, '..', 'sessions.json');
+const RESPONSES_DIR = path.join(__dirname, '..', 'command-responses');
+
+const EXECUTE_HINT = 'Click "Execute Commands" in the browser extension to apply (hands-free mode runs allowed actions automatically).';
+
+// How long waitForExecution blocks by default, and at most (seconds)
+const DEFAULT_WAIT_TIMEOUT = 30;
+const MAX_WAIT_TIMEOUT = 120;
+const WAIT_POLL_INTERVAL = 500;
+
+// Screenshots returned by capture_tab_screenshot: default and largest width in pixels
+const DEFAULT_SCREENSHOT_WIDTH = 1280;
+const MAX_SCREENSHOT_WIDTH = 3840;
+
+// Tabs import_tabs opens at most, unless asked for more
+const DEFAULT_IMPORT_LIMIT = 100;
+
+// Page content returned by read_tab_content, in characters. These and RESTRICTED_URL_PATTERN
+// are copied in extension/background.js, which can't import them: keep both in sync.
+const DEFAULT_CONTENT_LENGTH = 20000;
+const MAX_CONTENT_LENGTH = 100000;
+
+// MCP's error code for a resource that doesn't exist
+const RESOURCE_NOT_FOUND = -32002;
+
+// Syncs write several files in a row; changes are reported once they settle (milliseconds)
+const RESOURCE_UPDATE_DELAY = 250;
+
+// Browsers don't let extensions run scripts in their own pages or in the extension stores
+const RESTRICTED_URL_PATTERN = /^(chrome|chrome-extension|chrome-search|chrome-untrusted|devtools|edge|brave|opera|vivaldi|arc|about|view-source):|^https:\/\/(chromewebstore\.google\.com|chrome\.google\.com\/webstore|microsoftedge\.microsoft\.com\/addons)/;
+
+// The native host rewrites these files too; a read that catches a write halfway through
+// counts as empty rather than failing every tool that reads it
+function loadCommands() {
+  if (!fs.existsSync(COMMANDS_FILE)) {
+    return [];
+  }
+  try {
+    return JSON.parse(fs.readFileSync(COMMANDS_FILE, 'utf8'));
+  } catch {
+    return [];
+  }
+}
 
 function writeCommand(command) {
-  const commands = fs.existsSync(COMMANDS_FILE)
-    ? JSON.parse(fs.readFileSync(COMMANDS_FILE, 'utf8'))
-    : [];
-  commands.push({ ...command, id: Date.now(), status: 'pending' });
+  const commands = loadCommands();
+  // Ids must be unique: hands-free mode and command results are keyed by id
+  const lastId = commands.length > 0 ? commands[commands.length - 1].id : 0;
+  const queued = { ...command, id: Math.max(Date.now(), lastId + 1), status: 'pending' };
+  commands.push(queued);
   fs.writeFileSync(COMMANDS_FILE, JSON.stringify(commands, null, 2), 'utf8');
-  return command;
+  return queued;
+}
+
+function loadResults() {
+  if (!fs.existsSync(RESULTS_FILE)) {
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(RESULTS_FILE, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+// Results are written by the native host once the extension has run a command
+function getCommandStatus(id) {
+  const result = loadResults()[id];
+  if (result) {
+    return result;
+  }
+  const pending = loadCommands().find(c => c.id === id);
+  if (pending) {
+    return { id, action: pending.action, description: pending.description, status: 'pending' };
+  }
+  return { id, status: 'unknown' };
+}
+
+async function waitForCommands(ids, timeoutSeconds) {
+  const deadline = Date.now() + timeoutSeconds * 1000;
+  let statuses = ids.map(getCommandStatus);
+  while (statuses.some(s => s.status === 'pending') && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, WAIT_POLL_INTERVAL));
+    statuses = ids.map(getCommandStatus);
+  }
+  return statuses;
+}
+
+// Data a command sent back (e.g. page content), stored by the native host per command id
+function loadCommandResponse(id) {
+  const file = path.join(RESPONSES_DIR, `${id}.json`);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// For tools that need an answer from the extension: wait for a queued command and its data
+async function waitForResponse(id, timeoutSeconds = DEFAULT_WAIT_TIMEOUT) {
+  const [status] = await waitForCommands([id], Math.min(timeoutSeconds, MAX_WAIT_TIMEOUT));
+  return { status, data: status.status === 'completed' ? loadCommandResponse(id) : null };
+}
+
+// Why a request to the extension came back without data
+function describeMissingResponse(status, toolName) {
+  switch (status.status) {
+    case 'pending':
+      return `The extension hasn't answered yet (command #${status.id}). Click "Execute Commands" in the extension, or allow this action in hands-free mode, then call ${toolName} again with commandId ${status.id}.`;
+    case 'rejected':
+      return `The user declined the request (command #${status.id}).`;
+    case 'failed':
+      return `The extension could not do it: ${status.message}`;
+    default:
+      return `No response found for command #${status.id}. Responses are kept for an hour.`;
+  }
+}
+
+// Undo history is recorded by the native host: the state before each executed command
+function loadUndoHistory() {
+  if (!fs.existsSync(UNDO_FILE)) {
+    return [];
+  }
+  try {
+    return JSON.parse(fs.readFileSync(UNDO_FILE, 'utf8'));
+  } catch {
+    return [];
+  }
+}
+
+function saveUndoHistory(history) {
+  fs.writeFileSync(UNDO_FILE, JSON.stringify(history, null, 2), 'utf8');
+}
+
+function buildUndoCommand(entry) {
+  const { action, before } = entry;
+  switch (action) {
+    case 'close_tabs':
+    case 'bookmark_tabs':
+      return {
+        action: 'restore_tabs',
+        tabs: before.tabs,
+        description: `Undo: reopen ${before.tabs.length} closed tabs`
+      };
+    case 'create_group':
+    case 'ungroup_tabs':
+      return {
+        action: 'restore_groups',
+        tabs: before.tabs,
+        description: `Undo: restore groups of ${before.tabs.length} tabs`
+      };
+    case 'shuffle_tabs':
+      return {
+        action: 'move_tabs',
+        moves: [...before.tabs]
+          .sort((a, b) => a.windowId - b.windowId || a.index - b.index)
+          .map(t => ({ tabId: t.tabId, windowId: t.windowId, index: t.index })),
+        description: `Undo: restore order of ${before.tabs.length} tabs`
+      };
+    case 'focus_tab':
+      return {
+        action: 'focus_tab',
+        tabId: before.tabId,
+        windowId: before.windowId,
+        description: 'Undo: focus previously active tab'
+      };
+    case 'update_group':
+      return {
+        action: 'update_group',
+        groupId: before.groupId,
+        title: before.title,
+        color: before.color,
+        collapsed: before.collapsed,
+        description: `Undo: restore name, color and state of group "${before.title}"`
+      };
+    case 'move_group':
+      return {
+        action: 'move_group',
+        groupId: before.groupId,
+        windowId: before.windowId,
+        index: before.index,
+        description: 'Undo: move group back'
+      };
+    default:
+      return null;
+  }
+}
+
+function loadSessions() {
+  if (!fs.existsSync(SESSIONS_FILE)) {
+    return [];
+  }
+  try {
+    return JSON.parse(fs.readFileSync(SESSIONS_FILE, 'utf8'));
+  } catch {
+    return [];
+  }
+}
+
+function saveSessions(sessions) {
+  fs.writeFileSync(SESSIONS_FILE, JSON.stringify(sessions, null, 2), 'utf8');
+}
+
+function findSession(sessions, name) {
+  return sessions.find(s => s.name.toLowerCase() === name.toLowerCase());
+}
+
+// Snapshot windows from the synced tab data: tabs in order, groups referenced by index
+function buildSession(name, tabs, groups, windowId) {
+  const windowTabLists = [...groupByWindow(tabs).values()]
+    .filter(windowTabs => !windowId || windowTabs[0].windowId === windowId);
+
+  const windows = windowTabLists.map(allWindowTabs => {
+    const windowTabs = allWindowTabs.filter(t => !t.url.startsWith('chrome-extension://'));
+    const windowGroups = groups.filter(g => isInWindow(g, allWindowTabs[0]));
+
+    return {
+      tabs: windowTabs.map(t => {
+        const groupIndex = windowGroups.findIndex(g => g.id === t.groupId);
+        return {
+          title: t.title,
+          url: t.url,
+          pinned: t.pinned,
+          ...(groupIndex !== -1 && { group: groupIndex })
+        };
+      }),
+      groups: windowGroups.map(g => ({ title: g.title, color: g.color, collapsed: g.collapsed }))
+    };
+  }).filter(w => w.tabs.length > 0);
+
+  return { name, savedAt: new Date().toISOString(), windows };
+}
+
+function countSessionTabs(session) {
+  return session.windows.reduce((sum, w) => sum + w.tabs.length, 0);
+}
+
+function summarizeSession(session) {
+  return {
+    name: session.name,
+    savedAt: session.savedAt,
+    tabCount: countSessionTabs(session),
+    windowCount: session.windows.length,
+    groupCount: session.windows.reduce((sum, w) => sum + w.groups.length, 0)
+  };
+}
+
+// The tab a page tool works on, by id or search, or an error message. Browser pages are refused
+// up front, as extensions can neither read nor capture them.
+function findPageTab(tabs, browsers, { tabId, search } = {}, verb) {
+  let tab = null;
+  if (tabId) {
+    const matching = tabs.filter(t => t.id === tabId);
+    const conflict = describeBrowserConflict(matching, browsers, `Tab ${tabId}`);
+    if (conflict) {
+      return { error: conflict };
+    }
+    tab = matching[0];
+  } else if (search) {
+    const s = search.toLowerCase();
+    tab = tabs.find(t => t.title.toLowerCase().includes(s) || t.url.toLowerCase().includes(s));
+  } else {
+    return { error: 'Please provide a tabId or a search term.' };
+  }
+
+  if (!tab) {
+    return { error: 'Tab not found.' };
+  }
+  if (RESTRICTED_URL_PATTERN.test(tab.url)) {
+    return { error: `Cannot ${verb} "${tab.title}" (${tab.url}): browsers don't allow extensions to ${verb} their internal pages or extension stores.` };
+  }
+  return { tab };
+}
+
+function formatScreenshotResponse(status, data) {
+  if (!data) {
+    return { content: [{ type: 'text', text: describeMissingResponse(status, 'capture_tab_screenshot') }] };
+  }
+  return {
+    content: [
+      { type: 'text', text: `Screenshot of "${data.title}" (${data.url}), ${data.width}x${data.height}:` },
+      { type: 'image', data: data.data, mimeType: data.mimeType }
+    ],
+    structuredContent: {
+      screenshot: { title: data.title, url: data.url, width: data.width, height: data.height, mimeType: data.mimeType }
+    }
+  };
+}
+
+function formatContentResponse(status, data) {
+  if (!data) {
+    return { content: [{ type: 'text', text: describeMissingResponse(status, 'read_tab_content') }] };
+  }
+  return {
+    content: [{ type: 'text', text: formatTabContent(data) }],
+    structuredContent: { page: data }
+  };
+}
+
+function formatBookmarkResults(query, data) {
+  if (data.total === 0) {
+    return `No bookmarks match "${query}".`;
+  }
+  const output = data.results.map((b, i) => b.isFolder
+    ? `${i + 1}. 📁 ${b.path} (folder id ${b.id})`
+    : `${i + 1}. ${b.title}\n   ${b.url}\n   in ${b.folder}${b.dateAdded ? `, added ${formatAge(b.dateAdded)}` : ''}`
+  ).join('\n\n');
+  const more = data.total > data.results.length ? `\n\n... and ${data.total - data.results.length} more` : '';
+  return `Found ${data.total} bookmark(s) matching "${query}":\n\n${output}${more}`;
+}
+
+function formatHistoryResults(query, data) {
+  if (data.results.length === 0) {
+    return `No pages in the browser history match "${query}" in that time range.`;
+  }
+  const output = data.results.map((h, i) =>
+    `${i + 1}. ${h.title || '(no title)'}\n   ${h.url}\n   last visited ${formatAge(h.lastVisitTime)}, ${h.visitCount} visit(s)`
+  ).join('\n\n');
+  return `Found ${data.results.length} page(s) in the browser history${query ? ` matching "${query}"` : ''}:\n\n${output}`;
+}
+
+function formatRecentlyClosed(data) {
+  if (data.results.length === 0) {
+    return 'No recently closed tabs.';
+  }
+  const output = data.results.map((s, i) => s.type === 'tab'
+    ? `${i + 1}. ${s.title || '(no title)'} [session ${s.sessionId}]\n   ${s.url} (closed ${formatAge(s.closedAt)})`
+    : `${i + 1}. Window with ${s.tabs.length} tabs [session ${s.sessionId}] (closed ${formatAge(s.closedAt)})\n` +
+      s.tabs.map(t => `   - ${t.title || t.url} [session ${t.sessionId}]`).join('\n')
+  ).join('\n\n');
+  return `Recently closed, most recent first:\n\n${output}\n\nReopen one with restore_closed_tab and its session id.`;
+}
+
+function formatTabContent({ title, url, content, offset, totalLength }) {
+  const end = offset + content.length;
+  const more = end < totalLength
+    ? `\n\n[Characters ${offset + 1}-${end} of ${totalLength}. Pass offset: ${end} to read on.]`
+    : '';
+  return `# ${title}\n${url}\n\n${content || '(no readable content found)'}${more}`;
+}
+
+function formatCommandStatus(status) {
+  const label = status.description || status.action || 'Command';
+  const message = status.message ? ` - ${status.message}` : '';
+  return `#${status.id} ${label}: ${status.status}${message}`;
+}
+
+// Shared by every action tool: optionally block until the extension reports back
+const WAIT_PROPERTIES = {
+  waitForExecution: {
+    type: 'boolean',
+    description: 'Wait until the extension has executed the command and report the outcome (default: false)',
+    default: false
+  },
+  timeout: {
+    type: 'number',
+    description: `Seconds to wait when waitForExecution is set (default: ${DEFAULT_WAIT_TIMEOUT}, max: ${MAX_WAIT_TIMEOUT})`
+  }
+};
+
+const DRY_RUN_PROPERTY = {
+  type: 'boolean',
+  description: 'Return the command(s) that would be queued without queuing anything (default: false)',
+  default: false
+};
+
+// Tools that only change local files (sessions, category rules, the stash, exports) can be dry-run too
+const LOCAL_DRY_RUN_PROPERTY = {
+  type: 'boolean',
+  description: 'Return what would be saved, deleted or written without changing any file (default: false)',
+  default: false
+};
+
+// Every tool that changes tabs can be dry-run, or wait for the outcome
+const ACTION_PROPERTIES = {
+  dryRun: DRY_RUN_PROPERTY,
+  ...WAIT_PROPERTIES
+};
+
+const GROUP_PROPERTIES = {
+  groupName: {
+    type: 'string',
+    description: 'Name of the tab group'
+  },
+  groupId: {
+    type: 'number',
+    description: 'Or: the group id, when several groups share a name'
+  }
+};
+
+const STASH_FILTER_PROPERTIES = {
+  ids: {
+    type: 'array',
+    items: { type: 'number' },
+    description: 'Stash entry ids (from list_stash)'
+  },
+  domain: {
+    type: 'string',
+    description: 'Only entries from this domain'
+  },
+  search: {
+    type: 'string',
+    description: 'Only entries whose title or URL contains this text'
+  },
+  days: {
+    type: 'number',
+    description: 'Only entries stashed within the last N days'
+  },
+  olderThanDays: {
+    type: 'number',
+    description: 'Only entries stashed more than N days ago'
+  }
+};
+
+const KEEP_POLICY_PROPERTY = {
+  type: 'string',
+  enum: KEEP_POLICIES,
+  description: 'Which duplicate to keep: first (default), recent (most recently accessed), pinned, grouped, or active_window (preferring the most recent one among matches)'
+};
+
+const BROWSER_PROPERTY = {
+  type: 'string',
+  description: 'Optional: only use tabs from this browser/profile (name or id, see get_tab_stats). Default: all synced browsers'
+};
+
+// Tools that don't look at tabs, so a browser argument makes no sense for them
+const BROWSER_INDEPENDENT_TOOLS = [
+  'get_command_status', 'list_sessions', 'delete_session', 'list_stash', 'delete_stash_entries',
+  'list_category_rules', 'add_category_rule', 'remove_category_rule'
+];
+
+function loadSnapshots() {
+  return fs.readdirSync(DATA_DIR)
+    .filter(file => TABS_FILE_PATTERN.test(file))
+    .map(file => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), 'utf8'));
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .map(snapshot => ({ ...snapshot, browser: snapshot.browser || { id: DEFAULT_BROWSER_ID, name: 'Browser' } }));
+}
+
+// A browser argument matches a browser's id or name, ignoring case
+function matchesBrowser(browser, query) {
+  const q = query.toLowerCase();
+  return browser.id.toLowerCase() === q || browser.name.toLowerCase() === q;
+}
+
+// The snapshots of all browsers (or just the requested one) combined. Tab, group and window ids
+// are only unique within a browser, so every tab and group is tagged with its browser id.
+// Browsers are listed most recently synced first; the overall timestamp is the oldest one.
+function loadTabs(browser) {
+  const snapshots = loadSnapshots()
+    .filter(s => !browser || matchesBrowser(s.browser, browser))
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  if (snapshots.length === 0) {
+    return null;
+  }
+
+  return {
+    timestamp: snapshots[snapshots.length - 1].timestamp,
+    windowCount: snapshots.reduce((sum, s) => sum + (s.windowCount || 0), 0),
+    tabCount: snapshots.reduce((sum, s) => sum + (s.tabCount || 0), 0),
+    browsers: snapshots.map(s => ({
+      id: s.browser.id,
+      name: s.browser.name,
+      timestamp: s.timestamp,
+      tabCount: s.tabCount || 0,
+      windowCount: s.windowCount || 0,
+      focusedWindowId: s.focusedWindowId
+    })),
+    groups: snapshots.flatMap(s => (s.groups || []).map(g => ({ ...g, browser: s.browser.id }))),
+    tabs: snapshots.flatMap(s => (s.tabs || []).map(t => ({ ...t, browser: s.browser.id })))
+  };
+}
+
+// Browser ids matching the browser argument, or undefined for all browsers
+function resolveBrowserIds(browser) {
+  return browser ? loadTabs(browser)?.browsers.map(b => b.id) || [] : undefined;
+}
+
+function formatBrowserList(browsers) {
+  return browsers.map(b => `${b.name} (${b.id})`).join(', ');
+}
+
+// Commands only reach the browser that owns their tabs: a command touching tabs in several
+// browsers is split into one command per browser. Commands without tabs (e.g. opening a
+// session) go to the requested browser, or the one that synced last.
+function routeCommand(command, commandTabs, browser) {
+  if (command.browser) {
+    return [command];
+  }
+
+  const browserIds = [...new Set(commandTabs.map(t => t.browser))];
+  if (browserIds.length === 0) {
+    return [{ ...command, browser: loadTabs(browser)?.browsers[0].id }];
+  }
+  if (browserIds.length === 1) {
+    return [{ ...command, browser: browserIds[0] }];
+  }
+
+  const browsers = loadTabs()?.browsers || [];
+  return browserIds.map(browserId => {
+    const browserTabs = commandTabs.filter(t => t.browser === browserId);
+    const owns = tabId => browserTabs.some(t => t.id === tabId);
+    const name = browsers.find(b => b.id === browserId)?.name || browserId;
+    return {
+      ...command,
+      browser: browserId,
+      ...(command.tabIds && { tabIds: [...new Set(command.tabIds.filter(owns))] }),
+      ...(command.groupIds && { groupIds: command.groupIds.filter(id => browserTabs.some(t => t.groupId === id)) }),
+      ...(command.moves && {
+        moves: command.moves.filter(m => browserTabs.some(t => t.id === m.tabId && t.windowId === m.windowId))
+      }),
+      ...(command.windows && {
+        windows: command.windows
+          .map(w => ({ ...w, tabIds: w.tabIds.filter(owns) }))
+          .filter(w => w.tabIds.length > 0)
+      }),
+      description: `${command.description} (${browserTabs.length} in ${name})`
+    };
+  });
+}
+
+// Duplicates are only looked for within each browser: the same page open in two browsers is intended
+function findDuplicatesPerBrowser(tabs, browsers, { keepPolicy } = {}) {
+  return browsers.flatMap(b => findDuplicates(tabs.filter(t => t.browser === b.id), {
+    keepPolicy,
+    focusedWindowId: b.focusedWindowId
+  }));
+}
+
+function windowKey(tab) {
+  return `${tab.browser}:${tab.windowId}`;
+}
+
+// Whether a tab or group is in the same window (of the same browser) as the given tab
+function isInWindow(item, windowTab) {
+  return item.browser === windowTab.browser && item.windowId === windowTab.windowId;
+}
+
+function findGroup(groups, tab) {
+  return groups.find(g => g.id === tab.groupId && g.browser === tab.browser);
+}
+
+// Tabs per window in tab strip order, windows in the order they first appear
+function groupByWindow(tabs) {
+  const windows = new Map();
+  tabs.forEach(t => {
+    const key = windowKey(t);
+    if (!windows.has(key)) windows.set(key, []);
+    windows.get(key).push(t);
+  });
+  windows.forEach(windowTabs => windowTabs.sort((a, b) => a.index - b.index));
+  return windows;
+}
+
+// Window labels name the browser once more than one browser is synced
+function formatWindowLabel(windowTab, browsers) {
+  const browser = browsers.find(b => b.id === windowTab.browser);
+  const focused = windowTab.windowId === browser?.focusedWindowId ? ' (focused)' : '';
+  const prefix = browsers.length > 1 ? `${browser?.name || windowTab.browser} ` : '';
+  return `${prefix}Window ${windowTab.windowId}${focused}`;
+}
+
+// Every tool that reads tabs accepts the optional browser argument
+function addBrowserProperty(tool) {
+  if (BROWSER_INDEPENDENT_TOOLS.includes(tool.name)) {
+    return tool;
+  }
+  return {
+    ...tool,
+    inputSchema: {
+      ...tool.inputSchema,
+      properties: { ...tool.inputSchema.properties, browser: BROWSER_PROPERTY }
+    }
+  };
+}
+
+// Tools that queue commands take dryRun; their output includes the commands
+function addOutputSchema(tool) {
+  const { dryRun } = tool.inputSchema.properties;
+  return {
+    ...tool,
+    outputSchema: buildOutputSchema(tool.name, { action: dryRun === DRY_RUN_PROPERTY, dryRun: !!dryRun })
+  };
+}
+
+// Tabs and groups as returned in structuredContent
+function toTabInfo(tab, groups) {
+  const group = findGroup(groups, tab);
+  return {
+    id: tab.id,
+    browser: tab.browser,
+    windowId: tab.windowId,
+    index: tab.index,
+    title: tab.title,
+    url: tab.url,
+    domain: tab.domain,
+    pinned: !!tab.pinned,
+    active: !!tab.active,
+    audible: !!tab.audible,
+    ...(group && { groupId: group.id, group: group.title }),
+    ...(tab.lastAccessed && { lastAccessed: new Date(tab.lastAccessed).toISOString() })
+  };
+}
+
+// A duplicate cluster from findDuplicates, with the tabs as in toTabInfo
+function toClusterInfo({ normalizedUrl, keep, duplicates }, groups) {
+  return {
+    normalizedUrl,
+    keep: toTabInfo(keep, groups),
+    duplicates: duplicates.map(t => toTabInfo(t, groups))
+  };
+}
+
+function toGroupInfo(group, tabs) {
+  return {
+    id: group.id,
+    browser: group.browser,
+    windowId: group.windowId,
+    title: group.title,
+    color: group.color,
+    collapsed: !!group.collapsed,
+    tabCount: tabs.filter(t => t.groupId === group.id && t.browser === group.browser).length
+  };
+}
+
+// Tab and window ids may be reused by another browser. Returns an error message when the
+// tabs an id matched belong to several browsers, so the caller can ask for a browser.
+function describeBrowserConflict(matchedTabs, browsers, what) {
+  const browserIds = [...new Set(matchedTabs.map(t => t.browser))];
+  if (browserIds.length < 2) {
+    return null;
+  }
+  return `${what} exists in several browsers: ${formatBrowserList(browsers.filter(b => browserIds.includes(b.id)))}. Pass the browser argument to pick one.`;
+}
+
+// The same for a list of tab ids, which may well span browsers: only an id matching tabs in
+// several browsers is ambiguous
+function describeTabIdConflicts(matchedTabs, browsers, tabIds) {
+  const ambiguous = tabIds.filter(id => new Set(matchedTabs.filter(t => t.id === id).map(t => t.browser)).size > 1);
+  if (ambiguous.length === 0) {
+    return null;
+  }
+  const what = ambiguous.length === 1 ? `Tab ${ambiguous[0]}` : `Each of tabs ${ambiguous.join(', ')}`;
+  return describeBrowserConflict(matchedTabs.filter(t => ambiguous.includes(t.id)), browsers, what);
+}
+
+// The list_tabs filters: domain, search in title or URL, window
+function filterTabs(tabs, { domain, search, windowId } = {}) {
+  let filtered = tabs;
+  if (domain) {
+    filtered = filtered.filter(t => t.domain.includes(domain.toLowerCase()));
+  }
+  if (search) {
+    const s = search.toLowerCase();
+    filtered = filtered.filter(t => t.title.toLowerCase().includes(s) || t.url.toLowerCase().includes(s));
+  }
+  if (windowId) {
+    filtered = filtered.filter(t => t.windowId === windowId);
+  }
+  return filtered;
+}
+
+// A tab group by id or name (ignoring case). When several groups match (same name in two
+// windows, or the same id in two browsers), returns an error listing them instead.
+function findTargetGroup(groups, browsers, { groupId, groupName } = {}) {
+  let matching;
+  if (groupId !== undefined) {
+    matching = groups.filter(g => g.id === groupId);
+  } else if (groupName) {
+    matching = groups.filter(g => g.title.toLowerCase() === groupName.toLowerCase());
+  } else {
+    return { error: 'Please provide a groupName or groupId.' };
+  }
+
+  if (matching.length === 0) {
+    return { error: `Group ${groupId !== undefined ? groupId : `"${groupName}"`} not found.` };
+  }
+  if (matching.length > 1) {
+    const list = matching.map(g => `- "${g.title}" (id ${g.id}, ${formatWindowLabel(g, browsers)})`).join('\n');
+    return { error: `Several groups match:\n${list}\n\nPass groupId${browsers.length > 1 ? ' and browser' : ''} to pick one.` };
+  }
+  return { group: matching[0] };
+}
+
+// Tabs picked by the close_tabs selectors: explicit ids, else a domain, else a URL substring
+function selectTabs(tabs, browsers, { domain, urlPattern, tabIds } = {}) {
+  if (tabIds && tabIds.length > 0) {
+    const selected = tabs.filter(t => tabIds.includes(t.id));
+    const conflict = describeTabIdConflicts(selected, browsers, tabIds);
+    return conflict ? { error: conflict } : { tabs: selected };
+  }
+  if (domain) {
+    return { tabs: tabs.filter(t => t.domain.includes(domain.toLowerCase())) };
+  }
+  if (urlPattern) {
+    return { tabs: tabs.filter(t => t.url.toLowerCase().includes(urlPattern.toLowerCase())) };
+  }
+  return { tabs: [] };
+}
+
+// Open tabs by normalized URL (first tab wins), to skip opening pages that are already open
+function indexOpenUrls(tabs, rules) {
+  const openUrls = new Map();
+  tabs.forEach(t => {
+    const key = normalizeUrl(t.url, rules);
+    if (!openUrls.has(key)) openUrls.set(key, t);
+  });
+  return openUrls;
+}
+
+// What auto_organize_tabs would change, window by window: each category's tabs belong in a
+// group of that name in their own window. An existing same-named group is reused (the one
+// holding most of its tabs), tabs already in it stay put, and only misplaced tabs move.
+// Groups not named after a category were made by the user and keep their tabs unless
+// includeCustomGroups is set.
+// Returns { steps: [{ category, color, windowTab, group, tabs, kept }], customGroups: Map(group -> tabs) }
+function planOrganization(tabs, groups, { includeCustomGroups = false, rules = loadCategoryRules() } = {}) {
+  const categoryNames = new Set([...rules.map(r => r.category), 'Other'].map(c => c.toLowerCase()));
+  const isCategoryGroup = group => categoryNames.has((group.title || '').toLowerCase());
+  const steps = [];
+  const customGroups = new Map();
+
+  groupByWindow(tabs).forEach(windowTabs => {
+    const windowTab = windowTabs[0];
+    const eligible = windowTabs.filter(tab => {
+      const group = findGroup(groups, tab);
+      if (!group || isCategoryGroup(group) || includeCustomGroups) return true;
+      if (!customGroups.has(group)) customGroups.set(group, []);
+      customGroups.get(group).push(tab);
+      return false;
+    });
+
+    const { categories, uncategorized } = categorizeTabs(eligible, rules);
+    if (uncategorized.length > 0) {
+      categories['Other'] = { color: 'grey', tabs: uncategorized };
+    }
+
+    const groupSize = group => windowTabs.filter(t => findGroup(groups, t) === group).length;
+    for (const [category, { color, tabs: categoryTabs }] of Object.entries(categories)) {
+      const [group = null] = groups
+        .filter(g => isInWindow(g, windowTab) && (g.title || '').toLowerCase() === category.toLowerCase())
+        .sort((a, b) => groupSize(b) - groupSize(a));
+      const misplaced = categoryTabs.filter(t => !group || findGroup(groups, t) !== group);
+      steps.push({ category, color, windowTab, group, tabs: misplaced, kept: categoryTabs.length - misplaced.length });
+    }
+  });
+
+  return { steps, customGroups };
+}
+
+function formatTabCount(count) {
+  return `${count} ${count === 1 ? 'tab' : 'tabs'}`;
+}
+
+// "2 ungrouped, 1 from Docs": where the tabs of a plan step come from
+function describeTabSources(stepTabs, groups) {
+  const sources = new Map();
+  stepTabs.forEach(t => {
+    const group = findGroup(groups, t);
+    const source = group ? `from ${group.title || 'an untitled group'}` : 'ungrouped';
+    sources.set(source, (sources.get(source) || 0) + 1);
+  });
+  return [...sources].map(([source, count]) => `${count} ${source}`).join(', ');
 }
 
-function loadTabs() {
-  if (!fs.existsSync(TABS_FILE)) {
+function formatStashEntry(entry) {
+  const group = entry.group ? `, group "${entry.group.title}"` : '';
+  return `- [${entry.id}] ${entry.title}\n  ${entry.url} (stashed ${formatAge(entry.stashedAt)}${group})`;
+}
+
+// URLs without a scheme ("github.com/foo") are taken as https; returns null for unusable input
+function toOpenableUrl(input) {
+  const trimmed = String(input || '').trim();
+  if (!trimmed) return null;
+  const withScheme = /^[a-z][a-z0-9+.-]*:/i.test(trimmed) ? trimmed : `https://${trimmed}`;
+  try {
+    return new URL(withScheme).href;
+  } catch {
     return null;
   }
-  const content = fs.readFileSync(TABS_FILE, 'utf8');
-  return JSON.parse(content);
 }
 
 function formatAge(timestamp) {
@@ -42,9 +850,15 @@ function formatAge(timestamp) {
   return `${days}d ago`;
 }
 
+// How queued actions run, said once here rather than in every tool description
+const SERVER_INSTRUCTIONS = 'Tools marked "Queued action" do not change the browser themselves: they queue a command for the browser extension, which runs it when the user clicks "Execute Commands" in the extension popup, or right away in hands-free mode if the user allowed that kind of action there. Pass waitForExecution to wait for the outcome (tools that return page content, screenshots, bookmarks or history wait for it on their own), check it later with get_command_status, or pass dryRun to see the commands without queuing them.';
+
 const server = new Server(
   { name: 'browser-tabs-mcp', version: '1.0.0' },
-  { capabilities: { tools: {} } }
+  {
+    capabilities: { tools: {}, resources: { subscribe: true, listChanged: true }, prompts: {} },
+    instructions: SERVER_INSTRUCTIONS
+  }
 );
 
 // Define available tools
@@ -53,7 +867,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
     tools: [
       {
         name: 'list_tabs',
-        description: 'List all open browser tabs. Returns tab titles, URLs, and metadata.',
+        description: 'List all open browser tabs, by window. Returns tab titles, URLs, and metadata.',
         inputSchema: {
           type: 'object',
           properties: {
@@ -64,10 +878,56 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             search: {
               type: 'string',
               description: 'Optional: search in title or URL'
+            },
+            windowId: {
+              type: 'number',
+              description: 'Optional: only list tabs in this window'
             }
           }
         }
       },
+      {
+        name: 'export_tabs',
+        description: 'Export open tabs (optionally filtered like list_tabs) as Markdown for a PR or wiki page, Netscape bookmark HTML for importing into a browser, CSV or JSON. Tab group names and colors are kept. Returns the export, or writes it to a file.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            format: {
+              type: 'string',
+              enum: EXPORT_FORMATS,
+              description: 'Output format (default: markdown)',
+              default: 'markdown'
+            },
+            groupBy: {
+              type: 'string',
+              enum: EXPORT_GROUPINGS,
+              description: 'Sections by tab group, or by window with its groups inside (default: group)',
+              default: 'group'
+            },
+            domain: {
+              type: 'string',
+              description: 'Optional: only tabs from this domain'
+            },
+            search: {
+              type: 'string',
+              description: 'Optional: only tabs whose title or URL contains this text'
+            },
+            windowId: {
+              type: 'number',
+              description: 'Optional: only tabs in this window'
+            },
+            title: {
+              type: 'string',
+              description: 'Heading of the Markdown export / name of the bookmark file (default: "Tabs exported <date>")'
+            },
+            outputPath: {
+              type: 'string',
+              description: 'Optional: write the export to this file (absolute path, or ~/...) instead of returning it'
+            },
+            dryRun: LOCAL_DRY_RUN_PROPERTY
+          }
+        }
+      },
       {
         name: 'group_tabs_by_domain',
         description: 'Group all tabs by their domain and show counts. Great for finding which sites have the most tabs.',
@@ -75,10 +935,15 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: 'find_duplicate_tabs',
-        description: 'Find tabs with duplicate URLs',
-        inputSchema: { type: 'object', properties: {} }
-      },
-      {
+        description: 'Find tabs with duplicate URLs. URLs are normalized first (tracking params, #anchors, trailing slashes, http vs https; configurable in duplicate-rules.json).',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            keepPolicy: KEEP_POLICY_PROPERTY
+          }
+        }
+      },
+      {
         name: 'find_old_tabs',
         description: 'Find tabs that haven\'t been accessed recently',
         inputSchema: {
@@ -99,12 +964,12 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: 'get_tab_stats',
-        description: 'Get statistics about open tabs: counts, domains, windows, groups',
+        description: 'Get statistics about open tabs: counts, domains, windows, groups, with a per-window breakdown',
         inputSchema: { type: 'object', properties: {} }
       },
       {
         name: 'find_tabs_by_category',
-        description: 'Categorize tabs into types: social, work, dev, shopping, news, entertainment, etc.',
+        description: 'Categorize tabs into types (GitHub, Docs, Productivity, Communication, Social, News, Shopping, Entertainment, etc.) using the category rules (see list_category_rules)',
         inputSchema: { type: 'object', properties: {} }
       },
       {
@@ -120,10 +985,102 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           }
         }
       },
+      {
+        name: 'read_tab_content',
+        description: 'Read the main content of a tab as Markdown (navigation, scripts and hidden elements left out), e.g. to summarize or triage it. Queued action. Browser pages like chrome:// and extension stores cannot be read.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            tabId: {
+              type: 'number',
+              description: 'The tab to read'
+            },
+            search: {
+              type: 'string',
+              description: 'Or: read the first tab whose title or URL contains this text'
+            },
+            maxLength: {
+              type: 'number',
+              description: `Maximum characters to return (default: ${DEFAULT_CONTENT_LENGTH}, max: ${MAX_CONTENT_LENGTH})`
+            },
+            offset: {
+              type: 'number',
+              description: 'Character offset to start from, to continue reading a long page (default: 0)'
+            },
+            timeout: {
+              type: 'number',
+              description: `Seconds to wait for the extension (default: ${DEFAULT_WAIT_TIMEOUT}, max: ${MAX_WAIT_TIMEOUT})`
+            },
+            commandId: {
+              type: 'number',
+              description: 'Fetch the content of an earlier read_tab_content request that was not answered in time'
+            },
+            dryRun: DRY_RUN_PROPERTY
+          }
+        }
+      },
+      {
+        name: 'capture_tab_screenshot',
+        description: 'Take a screenshot of the visible part of a tab and return it as an image. The extension briefly activates the tab if it is in the background, then switches back. Queued action. Browser pages like chrome:// cannot be captured.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            tabId: {
+              type: 'number',
+              description: 'The tab to capture'
+            },
+            search: {
+              type: 'string',
+              description: 'Or: capture the first tab whose title or URL contains this text'
+            },
+            maxWidth: {
+              type: 'number',
+              description: `Scale the image down to at most this many pixels wide (default: ${DEFAULT_SCREENSHOT_WIDTH}, max: ${MAX_SCREENSHOT_WIDTH})`
+            },
+            format: {
+              type: 'string',
+              enum: ['jpeg', 'png'],
+              description: 'Image format (default: jpeg)'
+            },
+            quality: {
+              type: 'number',
+              description: 'JPEG quality from 1 to 100 (default: 80)'
+            },
+            timeout: {
+              type: 'number',
+              description: `Seconds to wait for the extension (default: ${DEFAULT_WAIT_TIMEOUT}, max: ${MAX_WAIT_TIMEOUT})`
+            },
+            commandId: {
+              type: 'number',
+              description: 'Fetch the screenshot of an earlier capture_tab_screenshot request that was not answered in time'
+            },
+            dryRun: DRY_RUN_PROPERTY
+          }
+        }
+      },
+      {
+        name: 'search_tab_contents',
+        description: 'Full-text search over the text of open pages, e.g. "which tab had the stack trace about ECONNRESET". Returns ranked matches with snippets. Needs "Capture page text for search" switched on in the extension; pages are indexed as they load.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: {
+              type: 'string',
+              description: 'Words that must all appear in the page; put exact phrases in double quotes'
+            },
+            limit: {
+              type: 'number',
+              description: 'Maximum number of matches (default: 10)',
+              default: 10
+            }
+          },
+          required: ['query']
+        }
+      },
       // ACTION TOOLS
       {
         name: 'close_tabs',
-        description: 'Close tabs matching a domain or URL pattern. Requires user to click "Execute" in extension.',
+        description: 'Close tabs matching a domain or URL pattern. Queued action.',
         inputSchema: {
           type: 'object',
           properties: {
@@ -139,18 +1096,282 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'array',
               items: { type: 'number' },
               description: 'Close specific tabs by their IDs'
+            },
+            ...ACTION_PROPERTIES
+          }
+        }
+      },
+      {
+        name: 'stash_tabs',
+        description: 'Put tabs away for later: save their title, URL and group to the local stash, then close them. Takes the same selectors as close_tabs. Closing is a queued action.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            domain: {
+              type: 'string',
+              description: 'Stash all tabs from this domain (e.g., "medium.com")'
+            },
+            urlPattern: {
+              type: 'string',
+              description: 'Stash tabs where URL contains this string'
+            },
+            tabIds: {
+              type: 'array',
+              items: { type: 'number' },
+              description: 'Stash specific tabs by their IDs'
+            },
+            ...ACTION_PROPERTIES
+          }
+        }
+      },
+      {
+        name: 'list_stash',
+        description: 'List stashed tabs, newest first, optionally filtered by domain, text or date',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ...STASH_FILTER_PROPERTIES,
+            limit: {
+              type: 'number',
+              description: 'Maximum entries to list (default: 50)',
+              default: 50
             }
           }
         }
       },
+      {
+        name: 'restore_stash',
+        description: 'Reopen stashed tabs (all, or those matching the filters) with their groups, in the browser they were stashed from. Entries leave the stash once the extension has reopened them. Pages that are open already are not opened again. Queued action.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ...STASH_FILTER_PROPERTIES,
+            newWindow: {
+              type: 'boolean',
+              description: 'Open the tabs in a new window (default: false)',
+              default: false
+            },
+            background: {
+              type: 'boolean',
+              description: 'Open without switching to the tabs (default: false)',
+              default: false
+            },
+            keepInStash: {
+              type: 'boolean',
+              description: 'Keep the entries in the stash after reopening them (default: false)',
+              default: false
+            },
+            ...ACTION_PROPERTIES
+          }
+        }
+      },
+      {
+        name: 'delete_stash_entries',
+        description: 'Delete stashed tabs without reopening them',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ...STASH_FILTER_PROPERTIES,
+            all: {
+              type: 'boolean',
+              description: 'Empty the whole stash (required when no ids or filters are given)',
+              default: false
+            },
+            dryRun: LOCAL_DRY_RUN_PROPERTY
+          }
+        }
+      },
+      {
+        name: 'bookmark_tabs',
+        description: 'Save tabs to a bookmark folder (created if needed, under "Other bookmarks" unless parentFolder is given), e.g. to keep a tab group before closing it. Select tabs like close_tabs, or a whole group by name. Queued action.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            groupName: {
+              type: 'string',
+              description: 'Bookmark the tabs of this tab group (the folder is named after it by default)'
+            },
+            domain: {
+              type: 'string',
+              description: 'Bookmark all tabs from this domain'
+            },
+            urlPattern: {
+              type: 'string',
+              description: 'Bookmark tabs where URL contains this string'
+            },
+            tabIds: {
+              type: 'array',
+              items: { type: 'number' },
+              description: 'Bookmark specific tabs by their IDs'
+            },
+            folderName: {
+              type: 'string',
+              description: 'Name of the bookmark folder (default: the group name, or "Tabs <date>")'
+            },
+            parentFolder: {
+              type: 'string',
+              description: 'Create the folder inside this existing folder, by name or path like "Bookmarks bar/Work"'
+            },
+            closeTabs: {
+              type: 'boolean',
+              description: 'Close the tabs once they are bookmarked (default: false)',
+              default: false
+            },
+            ...ACTION_PROPERTIES
+          }
+        }
+      },
+      {
+        name: 'search_bookmarks',
+        description: 'Search bookmarks by title and URL, e.g. to find a page saved long ago. Returns matching bookmarks and folders with their folder path. Queued action.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: {
+              type: 'string',
+              description: 'Words to look for in bookmark titles and URLs'
+            },
+            limit: {
+              type: 'number',
+              description: 'Maximum results (default: 20)',
+              default: 20
+            },
+            timeout: {
+              type: 'number',
+              description: `Seconds to wait for the extension (default: ${DEFAULT_WAIT_TIMEOUT}, max: ${MAX_WAIT_TIMEOUT})`
+            },
+            commandId: {
+              type: 'number',
+              description: 'Fetch the results of an earlier search_bookmarks request that was not answered in time'
+            },
+            dryRun: DRY_RUN_PROPERTY
+          },
+          required: ['query']
+        }
+      },
+      {
+        name: 'open_bookmark_folder',
+        description: 'Open the bookmarks of a folder as a tab group named after it (subfolders become groups of their own), skipping pages already open. Queued action.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            folderName: {
+              type: 'string',
+              description: 'Folder name, or path like "Bookmarks bar/Work"'
+            },
+            folderId: {
+              type: 'string',
+              description: 'Or: the folder id from search_bookmarks'
+            },
+            newWindow: {
+              type: 'boolean',
+              description: 'Open the tabs in a new window (default: false)',
+              default: false
+            },
+            background: {
+              type: 'boolean',
+              description: 'Open without switching to the new tabs (default: false)',
+              default: false
+            },
+            ...ACTION_PROPERTIES
+          }
+        }
+      },
+      {
+        name: 'search_history',
+        description: 'Search the browser history by text and time range, e.g. "the tab I closed yesterday about Kafka". Queued action.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: {
+              type: 'string',
+              description: 'Words to look for in page titles and URLs (empty: all pages in the range)'
+            },
+            days: {
+              type: 'number',
+              description: 'Search the last N days (default: 7), unless since is given',
+              default: 7
+            },
+            since: {
+              type: 'string',
+              description: 'Start of the range, e.g. "2024-05-30" or "2024-05-30T09:00"'
+            },
+            until: {
+              type: 'string',
+              description: 'End of the range (default: now)'
+            },
+            limit: {
+              type: 'number',
+              description: 'Maximum results (default: 50)',
+              default: 50
+            },
+            timeout: {
+              type: 'number',
+              description: `Seconds to wait for the extension (default: ${DEFAULT_WAIT_TIMEOUT}, max: ${MAX_WAIT_TIMEOUT})`
+            },
+            commandId: {
+              type: 'number',
+              description: 'Fetch the results of an earlier search_history request that was not answered in time'
+            },
+            dryRun: DRY_RUN_PROPERTY
+          }
+        }
+      },
+      {
+        name: 'list_recently_closed',
+        description: 'List recently closed tabs and windows with their session ids, most recent first. Queued action.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            limit: {
+              type: 'number',
+              description: 'Maximum entries (default and max: 25)',
+              default: 25
+            },
+            timeout: {
+              type: 'number',
+              description: `Seconds to wait for the extension (default: ${DEFAULT_WAIT_TIMEOUT}, max: ${MAX_WAIT_TIMEOUT})`
+            },
+            commandId: {
+              type: 'number',
+              description: 'Fetch the results of an earlier list_recently_closed request that was not answered in time'
+            },
+            dryRun: DRY_RUN_PROPERTY
+          }
+        }
+      },
+      {
+        name: 'restore_closed_tab',
+        description: 'Reopen a recently closed tab or window, with its back/forward history. Queued action.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sessionId: {
+              type: 'string',
+              description: 'Session id from list_recently_closed'
+            },
+            search: {
+              type: 'string',
+              description: 'Or: reopen the most recently closed tab whose title or URL contains this text'
+            },
+            ...ACTION_PROPERTIES
+          }
+        }
+      },
       {
         name: 'close_duplicate_tabs',
-        description: 'Close all duplicate tabs, keeping only one of each URL. Requires user to click "Execute" in extension.',
-        inputSchema: { type: 'object', properties: {} }
+        description: 'Close all duplicate tabs, keeping only one of each (normalized) URL. Queued action.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            keepPolicy: KEEP_POLICY_PROPERTY,
+            ...ACTION_PROPERTIES
+          }
+        }
       },
       {
         name: 'create_tab_group',
-        description: 'Create a tab group from tabs matching a domain or pattern. Requires user to click "Execute" in extension.',
+        description: 'Create a tab group from tabs matching a domain or pattern. Queued action.',
         inputSchema: {
           type: 'object',
           properties: {
@@ -166,626 +1387,2514 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'string',
               enum: ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'],
               description: 'Color for the tab group'
-            }
+            },
+            collapsed: {
+              type: 'boolean',
+              description: 'Collapse the new group (default: true)',
+              default: true
+            },
+            ...ACTION_PROPERTIES
           },
           required: ['name', 'domain']
         }
       },
       {
-        name: 'focus_tab',
-        description: 'Switch to a specific tab by ID or search. Requires user to click "Execute" in extension.',
+        name: 'update_tab_group',
+        description: 'Rename, recolor, collapse or expand an existing tab group. Queued action.',
         inputSchema: {
           type: 'object',
           properties: {
-            tabId: {
-              type: 'number',
-              description: 'The tab ID to focus'
+            ...GROUP_PROPERTIES,
+            title: {
+              type: 'string',
+              description: 'New name for the group'
             },
-            search: {
+            color: {
               type: 'string',
-              description: 'Search for tab by title or URL and focus it'
-            }
+              enum: GROUP_COLORS,
+              description: 'New color'
+            },
+            collapsed: {
+              type: 'boolean',
+              description: 'Collapse (true) or expand (false) the group'
+            },
+            ...ACTION_PROPERTIES
           }
         }
       },
       {
-        name: 'auto_organize_tabs',
-        description: 'Automatically organize all tabs by grouping them by purpose/category (GitHub, Jira, Confluence, Docs, Local Dev, AI Tools, Articles, Metrics, Meetings, Support, Social, Shopping, Entertainment, Search). Every tab is assigned to a category. Requires user to click "Execute" in extension.',
+        name: 'add_tabs_to_group',
+        description: 'Add tabs to an existing tab group, selected like close_tabs (ids, domain or URL pattern). Queued action.',
         inputSchema: {
           type: 'object',
           properties: {
-            closeDuplicates: {
-              type: 'boolean',
-              description: 'Also close duplicate tabs before organizing (default: false)',
-              default: false
-            }
+            ...GROUP_PROPERTIES,
+            tabIds: {
+              type: 'array',
+              items: { type: 'number' },
+              description: 'Add specific tabs by their IDs'
+            },
+            domain: {
+              type: 'string',
+              description: 'Add all tabs from this domain'
+            },
+            urlPattern: {
+              type: 'string',
+              description: 'Add tabs where URL contains this string'
+            },
+            ...ACTION_PROPERTIES
+          }
+        }
+      },
+      {
+        name: 'move_tab_group',
+        description: 'Move a whole tab group to a position in its window, to another window, or to a new window. Queued action.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ...GROUP_PROPERTIES,
+            windowId: {
+              type: 'number',
+              description: 'Move the group to this window'
+            },
+            index: {
+              type: 'number',
+              description: 'Tab position to move the group to (0 is the start; default: the end)'
+            },
+            newWindow: {
+              type: 'boolean',
+              description: 'Move the group to a new window (default: false)',
+              default: false
+            },
+            ...ACTION_PROPERTIES
+          }
+        }
+      },
+      {
+        name: 'close_tab_group',
+        description: 'Close a tab group and all its tabs (can be undone). Queued action.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ...GROUP_PROPERTIES,
+            ...ACTION_PROPERTIES
+          }
+        }
+      },
+      {
+        name: 'focus_tab',
+        description: 'Switch to a specific tab by ID or search. Queued action.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            tabId: {
+              type: 'number',
+              description: 'The tab ID to focus'
+            },
+            search: {
+              type: 'string',
+              description: 'Search for tab by title or URL and focus it'
+            },
+            ...ACTION_PROPERTIES
+          }
+        }
+      },
+      {
+        name: 'open_tabs',
+        description: 'Open URLs in the current window or a new one, optionally in the background, pinned, or in a named tab group (an existing group of that name is reused). URLs that are already open are skipped, using the same matching as find_duplicate_tabs. Queued action.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            urls: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'URLs to open; "example.com/page" is opened as https'
+            },
+            newWindow: {
+              type: 'boolean',
+              description: 'Open the tabs in a new window (default: false)',
+              default: false
+            },
+            windowId: {
+              type: 'number',
+              description: 'Open the tabs in this window instead of the focused one'
+            },
+            background: {
+              type: 'boolean',
+              description: 'Open without switching to the new tabs (default: false)',
+              default: false
+            },
+            pinned: {
+              type: 'boolean',
+              description: 'Pin the new tabs (default: false; pinned tabs cannot be in a group)',
+              default: false
+            },
+            groupName: {
+              type: 'string',
+              description: 'Add the tabs to the group with this name, creating it if there is none'
+            },
+            color: {
+              type: 'string',
+              enum: GROUP_COLORS,
+              description: 'Color for a newly created group (default: grey)'
+            },
+            allowDuplicates: {
+              type: 'boolean',
+              description: 'Also open URLs that are already open (default: false)',
+              default: false
+            },
+            ...ACTION_PROPERTIES
+          },
+          required: ['urls']
+        }
+      },
+      {
+        name: 'import_tabs',
+        description: 'Open a list of links as organized tabs: Netscape bookmark HTML (folders become tab groups), a OneTab export, or Markdown / plain text with URLs (headings become tab groups). Links that are already open are skipped. Queued action.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            text: {
+              type: 'string',
+              description: 'The links to import'
+            },
+            filePath: {
+              type: 'string',
+              description: 'Or: read the links from this file (absolute path, or ~/...)'
+            },
+            format: {
+              type: 'string',
+              enum: IMPORT_FORMATS,
+              description: 'Input format; auto detects bookmark HTML and OneTab exports, anything else is read as Markdown (default: auto)',
+              default: 'auto'
+            },
+            newWindow: {
+              type: 'boolean',
+              description: 'Open the tabs in a new window (default: false)',
+              default: false
+            },
+            background: {
+              type: 'boolean',
+              description: 'Open without switching to the new tabs (default: false)',
+              default: false
+            },
+            maxTabs: {
+              type: 'number',
+              description: `Open at most this many tabs (default: ${DEFAULT_IMPORT_LIMIT})`
+            },
+            allowDuplicates: {
+              type: 'boolean',
+              description: 'Also open links that are already open (default: false)',
+              default: false
+            },
+            ...ACTION_PROPERTIES
+          }
+        }
+      },
+      {
+        name: 'auto_organize_tabs',
+        description: 'Organize tabs into one group per purpose/category in each window, using the category rules (see list_category_rules); unmatched tabs go to "Other". Plans against the current grouping: existing groups named after a category are reused, only misplaced tabs move, and groups made by the user keep their tabs. Returns the plan ("3 tabs move into GitHub, 1 new group Metrics") without queuing anything; call again with apply to queue it. Applying is a queued action.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            apply: {
+              type: 'boolean',
+              description: 'Queue the planned changes instead of only returning the plan (default: false)',
+              default: false
+            },
+            includeCustomGroups: {
+              type: 'boolean',
+              description: 'Also regroup tabs in groups not named after a category (default: false, they are left alone)',
+              default: false
+            },
+            closeDuplicates: {
+              type: 'boolean',
+              description: 'Also close duplicate tabs before organizing (default: false)',
+              default: false
+            },
+            keepPolicy: KEEP_POLICY_PROPERTY,
+            ...ACTION_PROPERTIES
+          }
+        }
+      },
+      {
+        name: 'move_tabs_to_window',
+        description: 'Move tabs (by IDs, domain or URL pattern) or whole tab groups to an existing window or a new window. Queued action.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            tabIds: {
+              type: 'array',
+              items: { type: 'number' },
+              description: 'Move specific tabs by their IDs'
+            },
+            domain: {
+              type: 'string',
+              description: 'Move all tabs from this domain'
+            },
+            urlPattern: {
+              type: 'string',
+              description: 'Move tabs where URL contains this string'
+            },
+            groupName: {
+              type: 'string',
+              description: 'Move the tab group(s) with this name, keeping them grouped'
+            },
+            windowId: {
+              type: 'number',
+              description: 'Target window ID (see list_tabs)'
+            },
+            newWindow: {
+              type: 'boolean',
+              description: 'Move into a new window instead (default: false)',
+              default: false
+            },
+            ...ACTION_PROPERTIES
+          }
+        }
+      },
+      {
+        name: 'merge_windows',
+        description: 'Merge all windows into one, keeping tab groups. Queued action.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            targetWindowId: {
+              type: 'number',
+              description: 'Window to merge into (default: the focused window, or the one with the most tabs)'
+            },
+            ...ACTION_PROPERTIES
+          }
+        }
+      },
+      {
+        name: 'split_window',
+        description: 'Split a window into several windows by category or domain. The largest set stays in the original window; pinned tabs stay too. Queued action.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            windowId: {
+              type: 'number',
+              description: 'Window to split (default: the focused window)'
+            },
+            by: {
+              type: 'string',
+              enum: ['category', 'domain'],
+              description: 'How to split the tabs (default: category)',
+              default: 'category'
+            },
+            minTabs: {
+              type: 'number',
+              description: 'Only move a category/domain to its own window if it has at least this many tabs (default: 2)',
+              default: 2
+            },
+            ...ACTION_PROPERTIES
           }
         }
       },
       {
         name: 'ungroup_all_tabs',
-        description: 'Remove all tabs from their groups, keeping tabs open. Empty groups are automatically removed. Requires user to click "Execute" in extension.',
-        inputSchema: { type: 'object', properties: {} }
+        description: 'Remove all tabs from their groups, keeping tabs open. Empty groups are automatically removed. Queued action.',
+        inputSchema: { type: 'object', properties: { ...ACTION_PROPERTIES } }
       },
       {
         name: 'shuffle_tabs',
-        description: 'Randomly reorder all tabs. Great for demos or breaking out of tab habits. Requires user to click "Execute" in extension.',
+        description: 'Randomly reorder the tabs within each window. Great for demos or breaking out of tab habits. Queued action.',
+        inputSchema: { type: 'object', properties: { ...ACTION_PROPERTIES } }
+      },
+      {
+        name: 'save_session',
+        description: 'Save the current windows, tabs and tab groups as a named session that can be restored later',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Name for the session (e.g., "project-x")'
+            },
+            windowId: {
+              type: 'number',
+              description: 'Optional: only save this window'
+            },
+            overwrite: {
+              type: 'boolean',
+              description: 'Replace an existing session with the same name (default: false)',
+              default: false
+            },
+            dryRun: LOCAL_DRY_RUN_PROPERTY
+          },
+          required: ['name']
+        }
+      },
+      {
+        name: 'list_sessions',
+        description: 'List saved tab sessions',
+        inputSchema: { type: 'object', properties: {} }
+      },
+      {
+        name: 'restore_session',
+        description: 'Reopen a saved session\'s tabs and re-create its tab groups. Queued action.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Name of the session to restore'
+            },
+            mode: {
+              type: 'string',
+              enum: ['new_windows', 'merge'],
+              description: 'Open each saved window as a new window, or merge all tabs into the current window (default: new_windows)',
+              default: 'new_windows'
+            },
+            ...ACTION_PROPERTIES
+          },
+          required: ['name']
+        }
+      },
+      {
+        name: 'delete_session',
+        description: 'Delete a saved tab session',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Name of the session to delete'
+            },
+            dryRun: LOCAL_DRY_RUN_PROPERTY
+          },
+          required: ['name']
+        }
+      },
+      {
+        name: 'list_category_rules',
+        description: 'List the rules used to categorize tabs (find_tabs_by_category, auto_organize_tabs)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            category: {
+              type: 'string',
+              description: 'Optional: only show rules for this category'
+            }
+          }
+        }
+      },
+      {
+        name: 'add_category_rule',
+        description: 'Add a rule that puts matching tabs into a category, e.g. an internal Grafana host into "Metrics". Rules are saved in category-rules.json.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            category: {
+              type: 'string',
+              description: 'Category name (existing or new)'
+            },
+            pattern: {
+              type: 'string',
+              description: 'What to match, e.g. "grafana.corp.example.com", "*.corp.example.com" (glob) or "^JIRA-\\d+" (regex)'
+            },
+            field: {
+              type: 'string',
+              enum: MATCH_FIELDS,
+              description: 'Which tab field to match (default: url)',
+              default: 'url'
+            },
+            type: {
+              type: 'string',
+              enum: MATCH_TYPES,
+              description: 'How to match: substring (case-insensitive), glob (* and ? wildcards, whole value) or regex (default: substring)',
+              default: 'substring'
+            },
+            color: {
+              type: 'string',
+              enum: GROUP_COLORS,
+              description: 'Group color (default: the category\'s existing color, or grey)'
+            },
+            priority: {
+              type: 'number',
+              description: `Higher priority wins when several rules match (default: the category's priority, or ${CUSTOM_RULE_PRIORITY} for new categories)`
+            },
+            dryRun: LOCAL_DRY_RUN_PROPERTY
+          },
+          required: ['category', 'pattern']
+        }
+      },
+      {
+        name: 'remove_category_rule',
+        description: 'Remove a category rule by id, or all rules of a category',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ruleId: {
+              type: 'string',
+              description: 'Id of the rule to remove (see list_category_rules)'
+            },
+            category: {
+              type: 'string',
+              description: 'Remove all rules of this category'
+            },
+            dryRun: LOCAL_DRY_RUN_PROPERTY
+          }
+        }
+      },
+      {
+        name: 'test_category_rules',
+        description: 'Show which category a URL, title or open tab would be assigned to, and which rules match',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            url: {
+              type: 'string',
+              description: 'URL to test'
+            },
+            title: {
+              type: 'string',
+              description: 'Optional: page title to test'
+            },
+            tabId: {
+              type: 'number',
+              description: 'Test an open tab instead'
+            }
+          }
+        }
+      },
+      {
+        name: 'get_tab_history',
+        description: 'How many tabs were open each day, from the recorded tab history',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            days: {
+              type: 'number',
+              description: 'Number of days to look back (default: 7)',
+              default: 7
+            }
+          }
+        }
+      },
+      {
+        name: 'get_domain_trends',
+        description: 'Which domains keep piling up: domains that gained the most tabs over a period',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            days: {
+              type: 'number',
+              description: 'Number of days to look back (default: 7)',
+              default: 7
+            },
+            limit: {
+              type: 'number',
+              description: 'Number of domains to show (default: 10)',
+              default: 10
+            }
+          }
+        }
+      },
+      {
+        name: 'find_tab_first_seen',
+        description: 'When did a tab first appear? Searches the tab history by URL or title.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            search: {
+              type: 'string',
+              description: 'Part of the URL or title to search for'
+            },
+            days: {
+              type: 'number',
+              description: 'Optional: only search this many days back'
+            }
+          },
+          required: ['search']
+        }
+      },
+      {
+        name: 'list_undoable_actions',
+        description: 'List executed actions that can be undone (closed tabs, grouping changes, shuffles, focus changes), most recent first',
         inputSchema: { type: 'object', properties: {} }
+      },
+      {
+        name: 'undo_last_action',
+        description: 'Undo executed actions: reopen closed tabs (via session restore where possible), restore previous groups or tab order. Queued action.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            commandId: {
+              type: 'number',
+              description: 'Optional: undo this specific command instead of the most recent one'
+            },
+            count: {
+              type: 'number',
+              description: 'Number of most recent actions to undo (default: 1)',
+              default: 1
+            },
+            ...ACTION_PROPERTIES
+          }
+        }
+      },
+      {
+        name: 'get_command_status',
+        description: 'Check whether queued commands were executed by the extension and what happened: completed, failed, or rejected by the user in the extension popup. Without commandId, lists pending and recently executed commands.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            commandId: {
+              type: 'number',
+              description: 'Optional: the command id returned by an action tool'
+            },
+            wait: {
+              type: 'boolean',
+              description: 'Wait until the command has been executed (requires commandId)',
+              default: false
+            },
+            timeout: {
+              type: 'number',
+              description: `Seconds to wait at most (default: ${DEFAULT_WAIT_TIMEOUT}, max: ${MAX_WAIT_TIMEOUT})`
+            },
+            limit: {
+              type: 'number',
+              description: 'Number of recent results to list (default: 10)',
+              default: 10
+            }
+          }
+        }
       }
-    ]
+    ].map(addBrowserProperty).map(addOutputSchema)
   };
 });
 
 // Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+async function handleToolCall(name, args, context) {
+  const { queueCommand, dryRun } = context;
+  // A dry run says what would be queued, and leaves nothing to execute
+  const executeHint = dryRun ? '' : `\n\n${EXECUTE_HINT}`;
+
+  // Tools that don't need tab data
+  switch (name) {
+    case 'get_command_status': {
+      if (args?.commandId) {
+        const status = args?.wait
+          ? (await waitForCommands([args.commandId], Math.min(args.timeout || DEFAULT_WAIT_TIMEOUT, MAX_WAIT_TIMEOUT)))[0]
+          : getCommandStatus(args.commandId);
+        return {
+          content: [{ type: 'text', text: formatCommandStatus(status) }],
+          structuredContent: { command: status }
+        };
+      }
+
+      const pending = loadCommands().filter(c => c.status === 'pending');
+      const recent = Object.values(loadResults())
+        .sort((a, b) => b.completedAt.localeCompare(a.completedAt))
+        .slice(0, args?.limit || 10);
+
+      if (pending.length === 0 && recent.length === 0) {
+        return { content: [{ type: 'text', text: 'No commands have been queued yet.' }] };
+      }
+
+      const sections = [];
+      if (pending.length > 0) {
+        sections.push(`Pending (${pending.length}):\n${pending.map(c => formatCommandStatus({ ...c, status: 'pending' })).join('\n')}`);
+      }
+      if (recent.length > 0) {
+        sections.push(`Recently executed:\n${recent.map(r => `${formatCommandStatus(r)} (${formatAge(r.completedAt)})`).join('\n')}`);
+      }
+      return {
+        content: [{ type: 'text', text: sections.join('\n\n') }],
+        structuredContent: { pending: pending.map(c => getCommandStatus(c.id)), recent }
+      };
+    }
+
+    case 'list_sessions': {
+      const sessions = loadSessions();
+
+      if (sessions.length === 0) {
+        return { content: [{ type: 'text', text: 'No saved sessions. Use save_session to create one.' }] };
+      }
+
+      const summaries = sessions.map(summarizeSession);
+      const output = summaries.map(s =>
+        `- ${s.name}: ${s.tabCount} tabs, ${s.windowCount} window(s), ${s.groupCount} group(s) (saved ${formatAge(s.savedAt)})`
+      ).join('\n');
+
+      return {
+        content: [{ type: 'text', text: `Saved sessions:\n\n${output}` }],
+        structuredContent: { sessions: summaries }
+      };
+    }
+
+    case 'restore_session': {
+      const { name, mode = 'new_windows' } = args || {};
+
+      const session = name && findSession(loadSessions(), name);
+      if (!session) {
+        return { content: [{ type: 'text', text: `Session "${name}" not found. Use list_sessions to see saved sessions.` }] };
+      }
+
+      // Merging puts every saved window into the current window, keeping groups apart
+      const windows = mode === 'merge'
+        ? [{
+            newWindow: false,
+            tabs: session.windows.flatMap((w, i) => {
+              const offset = session.windows.slice(0, i).reduce((sum, prev) => sum + prev.groups.length, 0);
+              return w.tabs.map(t => ({ ...t, ...(t.group !== undefined && { group: t.group + offset }) }));
+            }),
+            groups: session.windows.flatMap(w => w.groups)
+          }]
+        : session.windows.map(w => ({ newWindow: true, tabs: w.tabs, groups: w.groups }));
+
+      const tabCount = countSessionTabs(session);
+      queueCommand({
+        action: 'open_tabs',
+        windows,
+        description: `Restore session "${session.name}" (${tabCount} tabs${mode === 'merge' ? ' into current window' : ` in ${windows.length} new window(s)`})`
+      });
+
+      return {
+        content: [{
+          type: 'text',
+          text: `${dryRun ? 'Would restore' : 'Queued restoring'} session "${session.name}": ${tabCount} tabs${mode === 'merge' ? ' merged into the current window' : ` in ${windows.length} new window(s)`}.${executeHint}`
+        }],
+        structuredContent: { session: summarizeSession(session) }
+      };
+    }
+
+    case 'delete_session': {
+      const sessions = loadSessions();
+      const session = args?.name && findSession(sessions, args.name);
+      if (!session) {
+        return { content: [{ type: 'text', text: `Session "${args?.name}" not found.` }] };
+      }
+
+      if (!dryRun) {
+        saveSessions(sessions.filter(s => s !== session));
+      }
+      return {
+        content: [{ type: 'text', text: `${dryRun ? 'Would delete' : 'Deleted'} session "${session.name}".` }],
+        structuredContent: { session: summarizeSession(session), ...(dryRun && { dryRun }) }
+      };
+    }
+
+    case 'list_stash': {
+      const stash = loadStash();
+      if (stash.length === 0) {
+        return { content: [{ type: 'text', text: 'The stash is empty. Use stash_tabs to put tabs away for later.' }] };
+      }
+
+      const entries = filterStash(stash, args).reverse();
+      if (entries.length === 0) {
+        return { content: [{ type: 'text', text: `No stashed tabs match (${stash.length} in the stash).` }] };
+      }
+
+      const limit = args?.limit || 50;
+      const output = entries.slice(0, limit).map(formatStashEntry).join('\n');
+      return {
+        content: [{
+          type: 'text',
+          text: `Stashed tabs, newest first (${entries.length}${entries.length < stash.length ? ` of ${stash.length}` : ''}):\n\n${output}` +
+            `${entries.length > limit ? `\n\n... and ${entries.length - limit} more` : ''}`
+        }],
+        structuredContent: { total: entries.length, entries: entries.slice(0, limit) }
+      };
+    }
+
+    case 'delete_stash_entries': {
+      if (!hasStashFilter(args) && !args?.all) {
+        return { content: [{ type: 'text', text: 'Please pass ids or a filter (domain, search, days, olderThanDays), or all: true to empty the stash.' }] };
+      }
+
+      const stash = loadStash();
+      const deleted = new Set(filterStash(stash, args));
+      if (deleted.size === 0) {
+        return { content: [{ type: 'text', text: 'No stashed tabs match.' }] };
+      }
+
+      if (!dryRun) {
+        saveStash(stash.filter(e => !deleted.has(e)));
+      }
+      return {
+        content: [{
+          type: 'text',
+          text: `${dryRun ? 'Would delete' : 'Deleted'} ${deleted.size} stashed tab(s), ${stash.length - deleted.size} left:\n${[...deleted].map(e => `- ${e.title}`).join('\n')}`
+        }],
+        structuredContent: { deleted: [...deleted], remaining: stash.length - deleted.size, ...(dryRun && { dryRun }) }
+      };
+    }
+
+    case 'list_category_rules': {
+      const rules = loadCategoryRules()
+        .filter(r => !args?.category || r.category.toLowerCase() === args.category.toLowerCase());
+
+      if (rules.length === 0) {
+        return { content: [{ type: 'text', text: args?.category ? `No rules for category "${args.category}".` : 'No category rules defined.' }] };
+      }
+
+      const byCategory = {};
+      rules.forEach(r => {
+        byCategory[r.category] = byCategory[r.category] || [];
+        byCategory[r.category].push(r);
+      });
+
+      const output = Object.entries(byCategory)
+        .map(([category, categoryRules]) =>
+          `${category} (${categoryRules[0].color}):\n${categoryRules.map(r => `  - [${r.id}] ${r.field} ${r.type} "${r.pattern}" (priority ${r.priority})`).join('\n')}`
+        )
+        .join('\n\n');
+
+      return {
+        content: [{ type: 'text', text: `Category rules (higher priority wins):\n\n${output}` }],
+        structuredContent: { rules }
+      };
+    }
+
+    case 'add_category_rule': {
+      const rules = loadCategoryRules();
+      const { category, pattern, field = 'url', type = 'substring' } = args || {};
+      const existing = rules.filter(r => category && r.category.toLowerCase() === category.toLowerCase());
+
+      const rule = {
+        id: nextRuleId(rules, category || ''),
+        category: existing[0]?.category || category,
+        color: args?.color || existing[0]?.color || 'grey',
+        priority: args?.priority ?? (existing.length > 0 ? Math.max(...existing.map(r => r.priority || 0)) : CUSTOM_RULE_PRIORITY),
+        field,
+        type,
+        pattern
+      };
+
+      const error = validateCategoryRule(rule);
+      if (error) {
+        return { content: [{ type: 'text', text: `Invalid rule: ${error}` }] };
+      }
+
+      if (!dryRun) {
+        saveCategoryRules([...rules, rule]);
+      }
+
+      return {
+        content: [{
+          type: 'text',
+          text: `${dryRun ? 'Would add' : 'Added'} rule [${rule.id}]: ${rule.field} ${rule.type} "${rule.pattern}" → ${rule.category} (${rule.color}, priority ${rule.priority})`
+        }],
+        structuredContent: { rule, ...(dryRun && { dryRun }) }
+      };
+    }
+
+    case 'remove_category_rule': {
+      const { ruleId, category } = args || {};
+      const rules = loadCategoryRules();
+      const removed = rules.filter(r =>
+        (ruleId && r.id === ruleId) ||
+        (!ruleId && category && r.category.toLowerCase() === category.toLowerCase())
+      );
+
+      if (removed.length === 0) {
+        return { content: [{ type: 'text', text: 'No matching category rules found. Use list_category_rules to see rule ids.' }] };
+      }
+
+      if (!dryRun) {
+        saveCategoryRules(rules.filter(r => !removed.includes(r)));
+      }
+
+      return {
+        content: [{
+          type: 'text',
+          text: `${dryRun ? 'Would remove' : 'Removed'} ${removed.length} rule(s):\n${removed.map(r => `- [${r.id}] ${r.category}: ${r.field} ${r.type} "${r.pattern}"`).join('\n')}`
+        }],
+        structuredContent: { removed, ...(dryRun && { dryRun }) }
+      };
+    }
+
+    case 'test_category_rules': {
+      let tab = { url: args?.url || '', title: args?.title || '' };
+      if (args?.tabId) {
+        const data = loadTabs(args?.browser);
+        const matching = (data?.tabs || []).filter(t => t.id === args.tabId);
+        const conflict = describeBrowserConflict(matching, data?.browsers, `Tab ${args.tabId}`);
+        if (conflict) {
+          return { content: [{ type: 'text', text: conflict }] };
+        }
+        tab = matching[0];
+        if (!tab) {
+          return { content: [{ type: 'text', text: `Tab ${args.tabId} not found.` }] };
+        }
+      } else if (!tab.url && !tab.title) {
+        return { content: [{ type: 'text', text: 'Please provide a url, title or tabId to test.' }] };
+      }
+      if (tab.domain === undefined) {
+        try {
+          tab.domain = new URL(tab.url).hostname;
+        } catch {
+          tab.domain = '';
+        }
+      }
+
+      const matching = findMatchingRules(tab);
+      if (matching.length === 0) {
+        return {
+          content: [{ type: 'text', text: `No rule matches, the tab would go to "Other".` }],
+          structuredContent: { category: 'Other', color: 'grey', rules: [] }
+        };
+      }
+
+      return {
+        content: [{
+          type: 'text',
+          text: `Category: ${matching[0].category} (${matching[0].color})\n\nMatching rules, best first:\n${matching.map(r => `- [${r.id}] ${r.category}: ${r.field} ${r.type} "${r.pattern}" (priority ${r.priority})`).join('\n')}`
+        }],
+        structuredContent: { category: matching[0].category, color: matching[0].color, rules: matching }
+      };
+    }
+
+    case 'get_tab_history': {
+      const days = args?.days || 7;
+      const daily = getDailyTabCounts(loadHistory({ days, browsers: resolveBrowserIds(args?.browser) }));
+
+      if (daily.length === 0) {
+        return { content: [{ type: 'text', text: `No tab history for the last ${days} days yet. History is recorded as the extension syncs.` }] };
+      }
+
+      const output = daily.map(d =>
+        `${d.day}: ${d.last} tabs at last sync (min ${d.min}, max ${d.max}, up to ${d.maxWindows} windows)`
+      ).join('\n');
+
+      return {
+        content: [{ type: 'text', text: `Tab counts per day (last ${days} days):\n\n${output}` }],
+        structuredContent: { days: daily }
+      };
+    }
+
+    case 'get_domain_trends': {
+      const days = args?.days || 7;
+      const limit = args?.limit || 10;
+      const history = loadHistory({ days, browsers: resolveBrowserIds(args?.browser) });
+
+      if (history.length < 2) {
+        return { content: [{ type: 'text', text: `Not enough tab history for the last ${days} days to show trends yet.` }] };
+      }
+
+      const growing = getDomainTrends(history).filter(t => t.change > 0).slice(0, limit);
+      if (growing.length === 0) {
+        return { content: [{ type: 'text', text: `No domain has gained tabs since ${formatAge(history[0].timestamp)}.` }] };
+      }
+
+      const output = growing.map(t =>
+        `${t.domain}: ${t.first} → ${t.last} tabs (+${t.change}, peak ${t.peak})`
+      ).join('\n');
+
+      return {
+        content: [{
+          type: 'text',
+          text: `Domains piling up since ${formatAge(history[0].timestamp)}:\n\n${output}`
+        }],
+        structuredContent: { since: history[0].timestamp, domains: growing }
+      };
+    }
+
+    case 'find_tab_first_seen': {
+      if (!args?.search) {
+        return { content: [{ type: 'text', text: 'Please provide a search term (part of the URL or title).' }] };
+      }
+
+      const history = loadHistory({ days: args?.days, browsers: resolveBrowserIds(args?.browser) });
+      const appearances = findTabAppearances(history, args.search);
+      if (appearances.length === 0) {
+        return { content: [{ type: 'text', text: `No tab matching "${args.search}" found in the tab history.` }] };
+      }
+
+      const openUrls = new Set((loadTabs(args?.browser)?.tabs || []).map(t => t.url));
+      const output = appearances.slice(0, 10).map(a =>
+        `${a.title || a.url}\n   ${a.url}\n   first seen ${formatAge(a.firstSeen)} (${a.firstSeen}), ${openUrls.has(a.url) ? 'still open' : `last seen ${formatAge(a.lastSeen)}`}`
+      ).join('\n\n');
+
+      return {
+        content: [{
+          type: 'text',
+          text: `Found ${appearances.length} matching tab(s) in history:\n\n${output}${appearances.length > 10 ? `\n\n... and ${appearances.length - 10} more` : ''}`
+        }],
+        structuredContent: { matches: appearances.map(a => ({ ...a, open: openUrls.has(a.url) })) }
+      };
+    }
+
+    case 'read_tab_content': {
+      if (!args?.commandId) break;
+
+      const { status, data } = await waitForResponse(args.commandId, args.timeout);
+      return formatContentResponse(status, data);
+    }
+
+    case 'search_history': {
+      if (!args?.commandId) break;
+
+      const { status, data } = await waitForResponse(args.commandId, args.timeout);
+      return {
+        content: [{ type: 'text', text: data ? formatHistoryResults(args.query || '', data) : describeMissingResponse(status, 'search_history') }],
+        ...(data && { structuredContent: { query: args.query || '', results: data.results } })
+      };
+    }
+
+    case 'list_recently_closed': {
+      if (!args?.commandId) break;
+
+      const { status, data } = await waitForResponse(args.commandId, args.timeout);
+      return {
+        content: [{ type: 'text', text: data ? formatRecentlyClosed(data) : describeMissingResponse(status, 'list_recently_closed') }],
+        ...(data && { structuredContent: { results: data.results } })
+      };
+    }
+
+    case 'search_bookmarks': {
+      if (!args?.commandId) break;
+
+      const { status, data } = await waitForResponse(args.commandId, args.timeout);
+      return {
+        content: [{ type: 'text', text: data ? formatBookmarkResults(args.query || '', data) : describeMissingResponse(status, 'search_bookmarks') }],
+        ...(data && { structuredContent: { query: args.query || '', total: data.total, results: data.results } })
+      };
+    }
+
+    case 'capture_tab_screenshot': {
+      if (!args?.commandId) break;
+
+      const { status, data } = await waitForResponse(args.commandId, args.timeout);
+      return formatScreenshotResponse(status, data);
+    }
+
+    case 'list_undoable_actions': {
+      const browserIds = resolveBrowserIds(args?.browser);
+      const undoable = loadUndoHistory()
+        .filter(e => !e.undone && (!browserIds || browserIds.includes(e.browser || DEFAULT_BROWSER_ID)))
+        .reverse();
+
+      if (undoable.length === 0) {
+        return { content: [{ type: 'text', text: 'No actions to undo.' }] };
+      }
+
+      const output = undoable.map((e, i) =>
+        `${i + 1}. ${e.description || e.action} (#${e.commandId}, ${formatAge(e.executedAt)})`
+      ).join('\n');
+
+      return {
+        content: [{
+          type: 'text',
+          text: `Undoable actions, most recent first:\n\n${output}`
+        }],
+        structuredContent: {
+          actions: undoable.map(e => ({
+            commandId: e.commandId,
+            action: e.action,
+            description: e.description,
+            executedAt: e.executedAt,
+            browser: e.browser || DEFAULT_BROWSER_ID
+          }))
+        }
+      };
+    }
+
+    case 'undo_last_action': {
+      const { commandId, count = 1 } = args || {};
+      const history = loadUndoHistory();
+      const browserIds = resolveBrowserIds(args?.browser);
+      const undoable = history.filter(e => !e.undone && (!browserIds || browserIds.includes(e.browser || DEFAULT_BROWSER_ID)));
+
+      const toUndo = commandId
+        ? undoable.filter(e => e.commandId === commandId)
+        : undoable.slice(-count).reverse();
+
+      if (toUndo.length === 0) {
+        return {
+          content: [{
+            type: 'text',
+            text: commandId ? `No undoable action found for command #${commandId}.` : 'No actions to undo.'
+          }]
+        };
+      }
+
+      // Undo newest first, reversing the order the actions were executed in
+      const undone = [];
+      for (const entry of toUndo) {
+        const command = buildUndoCommand(entry);
+        if (!command) continue;
+        // The reverse operation goes back to the browser the action ran in
+        queueCommand(entry.browser ? { ...command, browser: entry.browser } : command);
+        entry.undone = true;
+        undone.push(command.description);
+      }
+      if (!dryRun) {
+        saveUndoHistory(history);
+      }
+
+      return {
+        content: [{
+          type: 'text',
+          text: `${dryRun ? 'Would queue' : 'Queued'} ${undone.length} undo command(s):\n${undone.map(d => `- ${d}`).join('\n')}${executeHint}`
+        }]
+      };
+    }
+  }
 
-  const data = loadTabs();
+  const data = loadTabs(args?.browser);
   if (!data) {
+    const known = args?.browser && loadTabs()?.browsers;
     return {
       content: [{
         type: 'text',
-        text: 'No tab data found. Please click the "Sync Tabs to Claude" button in the browser extension first.'
+        text: known
+          ? `No tab data for browser "${args.browser}". Synced browsers: ${formatBrowserList(known)}`
+          : 'No tab data found. Please click the "Sync Tabs to Claude" button in the browser extension first.'
       }]
     };
   }
 
-  const { tabs, groups, timestamp, tabCount, windowCount } = data;
-  const dataAge = formatAge(timestamp);
+  const { tabs, groups, timestamp, tabCount, windowCount, browsers } = data;
+  const dataAge = formatAge(timestamp);
+  const tabInfo = tab => toTabInfo(tab, groups);
+  const groupInfo = group => toGroupInfo(group, tabs);
+
+  switch (name) {
+    case 'list_tabs': {
+      const filtered = filterTabs(tabs, args);
+
+      let number = 0;
+      const output = [...groupByWindow(filtered).values()].map(windowTabs =>
+        `${formatWindowLabel(windowTabs[0], browsers)} - ${windowTabs.length} tabs:\n\n` +
+        windowTabs.map(t =>
+          `${++number}. ${t.title}\n   ${t.url}\n   [${t.domain}] ${t.pinned ? '📌' : ''} ${t.audible ? '🔊' : ''}`
+        ).join('\n\n')
+      ).join('\n\n');
+
+      return {
+        content: [{
+          type: 'text',
+          text: `Found ${filtered.length} tabs (data from ${dataAge}):\n\n${output}`
+        }],
+        structuredContent: { dataFrom: timestamp, tabs: [...groupByWindow(filtered).values()].flat().map(tabInfo) }
+      };
+    }
+
+    case 'export_tabs': {
+      const { format = 'markdown', groupBy = 'group', outputPath } = args || {};
+      if (!EXPORT_FORMATS.includes(format)) {
+        return { content: [{ type: 'text', text: `format must be one of: ${EXPORT_FORMATS.join(', ')}` }] };
+      }
+      if (!EXPORT_GROUPINGS.includes(groupBy)) {
+        return { content: [{ type: 'text', text: `groupBy must be one of: ${EXPORT_GROUPINGS.join(', ')}` }] };
+      }
+
+      const filtered = filterTabs(tabs, args);
+      if (filtered.length === 0) {
+        return { content: [{ type: 'text', text: 'No matching tabs to export.' }] };
+      }
+
+      const windows = [...groupByWindow(filtered).values()]
+        .map(windowTabs => ({ label: formatWindowLabel(windowTabs[0], browsers), tabs: windowTabs }));
+      const outline = buildOutline(windows, tab => findGroup(groups, tab), groupBy);
+      const title = args?.title || `Tabs exported ${new Date().toISOString().slice(0, 10)}`;
+      const browserName = tab => browsers.find(b => b.id === tab.browser)?.name || tab.browser;
+      const output = {
+        markdown: () => formatMarkdown(outline, title),
+        html: () => formatBookmarksHtml(outline, title),
+        csv: () => formatCsv(outline, { browserName }),
+        json: () => formatJson(outline, { browserName })
+      }[format]();
+
+      if (!outputPath) {
+        return {
+          content: [{ type: 'text', text: output }],
+          structuredContent: { format, tabCount: filtered.length, output }
+        };
+      }
+
+      const file = path.resolve(outputPath.replace(/^~(?=$|\/)/, os.homedir()));
+      if (dryRun) {
+        return {
+          content: [{ type: 'text', text: `Would export ${filtered.length} tabs as ${format} to ${file}:\n\n${output}` }],
+          structuredContent: { format, tabCount: filtered.length, file, output, dryRun }
+        };
+      }
+      try {
+        fs.writeFileSync(file, output, 'utf8');
+      } catch (error) {
+        return { content: [{ type: 'text', text: `Could not write ${file}: ${error.message}` }] };
+      }
+      return {
+        content: [{ type: 'text', text: `Exported ${filtered.length} tabs as ${format} to ${file}` }],
+        structuredContent: { format, tabCount: filtered.length, file }
+      };
+    }
+
+    case 'group_tabs_by_domain': {
+      const domainCounts = {};
+      tabs.forEach(t => {
+        domainCounts[t.domain] = (domainCounts[t.domain] || 0) + 1;
+      });
+
+      const sortedDomains = Object.entries(domainCounts).sort((a, b) => b[1] - a[1]);
+      const sorted = sortedDomains
+        .map(([domain, count]) => `${domain}: ${count} tab${count > 1 ? 's' : ''}`)
+        .join('\n');
+
+      return {
+        content: [{
+          type: 'text',
+          text: `Tabs grouped by domain (${Object.keys(domainCounts).length} unique domains):\n\n${sorted}`
+        }],
+        structuredContent: { domains: sortedDomains.map(([domain, count]) => ({ domain, count })) }
+      };
+    }
+
+    case 'find_duplicate_tabs': {
+      const clusters = findDuplicatesPerBrowser(tabs, browsers, { keepPolicy: args?.keepPolicy });
+      const duplicates = clusters
+        .map(({ keep, duplicates: others }) =>
+          `${others.length + 1}x: ${keep.title}\n   keep: ${keep.url}\n${others.map(t => `   close: ${t.url}`).join('\n')}`
+        )
+        .join('\n\n');
+
+      return {
+        content: [{
+          type: 'text',
+          text: duplicates ? `Found duplicate tabs:\n\n${duplicates}` : 'No duplicate tabs found!'
+        }],
+        structuredContent: { clusters: clusters.map(c => toClusterInfo(c, groups)) }
+      };
+    }
+
+    case 'find_old_tabs': {
+      const hours = args?.hours || 24;
+      const cutoff = Date.now() - (hours * 60 * 60 * 1000);
+
+      const matchingTabs = tabs
+        .filter(t => t.lastAccessed && t.lastAccessed < cutoff)
+        .sort((a, b) => a.lastAccessed - b.lastAccessed);
+      const oldTabs = matchingTabs.map(t => `${t.title}\n   ${t.domain} - last accessed ${formatAge(t.lastAccessed)}`);
+
+      return {
+        content: [{
+          type: 'text',
+          text: oldTabs.length > 0
+            ? `Found ${oldTabs.length} tabs not accessed in ${hours}+ hours:\n\n${oldTabs.join('\n\n')}`
+            : `No tabs older than ${hours} hours found.`
+        }],
+        structuredContent: { hours, tabs: matchingTabs.map(tabInfo) }
+      };
+    }
+
+    case 'get_tab_stats': {
+      const domains = new Set(tabs.map(t => t.domain));
+      const pinnedCount = tabs.filter(t => t.pinned).length;
+      const audibleCount = tabs.filter(t => t.audible).length;
+      const groupedCount = tabs.filter(t => t.groupId && t.groupId !== -1).length;
+
+      const windowStats = [...groupByWindow(tabs).values()].map(windowTabs => ({
+        windowTab: windowTabs[0],
+        tabCount: windowTabs.length,
+        domainCount: new Set(windowTabs.map(t => t.domain)).size,
+        groupCount: groups.filter(g => isInWindow(g, windowTabs[0])).length
+      }));
+      const perWindow = windowStats.map(w =>
+        `  - ${formatWindowLabel(w.windowTab, browsers)}: ${w.tabCount} tabs, ${w.domainCount} domains, ${w.groupCount} groups`
+      ).join('\n');
+      const perBrowser = browsers.map(b =>
+        `  - ${b.name} (${b.id}): ${b.tabCount} tabs, ${b.windowCount} windows, synced ${formatAge(b.timestamp)}`
+      ).join('\n');
+
+      return {
+        content: [{
+          type: 'text',
+          text: `Tab Statistics (data from ${dataAge}):
+- Total tabs: ${tabCount}
+- Windows: ${windowCount}
+- Unique domains: ${domains.size}
+- Pinned tabs: ${pinnedCount}
+- Playing audio: ${audibleCount}
+- In groups: ${groupedCount}
+- Tab groups: ${groups.length}
+- Browsers:
+${perBrowser}
+- Per window:
+${perWindow}`
+        }],
+        structuredContent: {
+          dataFrom: timestamp,
+          tabCount,
+          windowCount,
+          domainCount: domains.size,
+          pinnedCount,
+          audibleCount,
+          groupedCount,
+          groupCount: groups.length,
+          browsers: browsers.map(b => ({ id: b.id, name: b.name, tabCount: b.tabCount, windowCount: b.windowCount, syncedAt: b.timestamp })),
+          windows: windowStats.map(({ windowTab, ...w }) => ({
+            browser: windowTab.browser,
+            windowId: windowTab.windowId,
+            focused: browsers.some(b => b.id === windowTab.browser && b.focusedWindowId === windowTab.windowId),
+            ...w
+          }))
+        }
+      };
+    }
+
+    case 'find_tabs_by_category': {
+      const { categories: categorized, uncategorized } = categorizeTabs(tabs);
+
+      let output = '';
+      for (const [category, { tabs }] of Object.entries(categorized)) {
+        output += `\n${category} (${tabs.length}):\n`;
+        tabs.forEach(t => { output += `  - ${t.title}\n`; });
+      }
+      if (uncategorized.length > 0) {
+        output += `\nOther (${uncategorized.length}):\n`;
+        uncategorized.slice(0, 10).forEach(t => { output += `  - ${t.title} [${t.domain}]\n`; });
+        if (uncategorized.length > 10) output += `  ... and ${uncategorized.length - 10} more\n`;
+      }
+
+      return {
+        content: [{ type: 'text', text: `Tabs by category:${output}` }],
+        structuredContent: {
+          categories: [
+            ...Object.entries(categorized).map(([category, c]) => ({ name: category, color: c.color, tabs: c.tabs.map(tabInfo) })),
+            ...(uncategorized.length > 0 ? [{ name: 'Other', color: 'grey', tabs: uncategorized.map(tabInfo) }] : [])
+          ]
+        }
+      };
+    }
+
+    case 'suggest_tab_organization': {
+      const suggestions = [];
+
+      // Check for duplicates
+      const duplicateCount = findDuplicatesPerBrowser(tabs, browsers).reduce((sum, d) => sum + d.duplicates.length, 0);
+      if (duplicateCount > 0) {
+        suggestions.push(`Close ${duplicateCount} duplicate tabs`);
+      }
+
+      // Check for domain clusters
+      const domainCounts = {};
+      tabs.forEach(t => { domainCounts[t.domain] = (domainCounts[t.domain] || 0) + 1; });
+      const largeClusters = Object.entries(domainCounts).filter(([d, c]) => c >= 5);
+      largeClusters.forEach(([domain, count]) => {
+        suggestions.push(`Group ${count} tabs from ${domain} together`);
+      });
+
+      // Check total count
+      if (tabCount > 50) {
+        suggestions.push(`Consider closing some tabs - ${tabCount} is a lot!`);
+      }
+
+      // Check for old tabs
+      const dayAgo = Date.now() - (24 * 60 * 60 * 1000);
+      const oldCount = tabs.filter(t => t.lastAccessed && t.lastAccessed < dayAgo).length;
+      if (oldCount > 5) {
+        suggestions.push(`Review ${oldCount} tabs not accessed in 24+ hours`);
+      }
+
+      return {
+        content: [{
+          type: 'text',
+          text: suggestions.length > 0
+            ? `Suggestions for organizing your ${tabCount} tabs:\n\n${suggestions.map((s, i) => `${i + 1}. ${s}`).join('\n')}`
+            : 'Your tabs look pretty well organized!'
+        }],
+        structuredContent: { suggestions }
+      };
+    }
+
+    case 'suggest_focus_tabs': {
+      const context = args?.context?.toLowerCase() || '';
+
+      let relevantTabs = tabs;
+
+      // If context provided, filter for relevant tabs
+      if (context) {
+        const contextKeywords = {
+          'coding': ['github', 'stackoverflow', 'docs', 'localhost', 'npm', 'developer'],
+          'code': ['github', 'stackoverflow', 'docs', 'localhost', 'npm', 'developer'],
+          'research': ['scholar', 'arxiv', 'wikipedia', 'paper', 'research', 'docs'],
+          'email': ['mail', 'outlook', 'gmail', 'inbox'],
+          'emails': ['mail', 'outlook', 'gmail', 'inbox'],
+          'work': ['jira', 'confluence', 'slack', 'teams', 'notion', 'docs.google', 'drive'],
+          'meeting': ['zoom', 'meet.google', 'teams', 'calendar'],
+          'meetings': ['zoom', 'meet.google', 'teams', 'calendar']
+        };
+
+        const keywords = contextKeywords[context] || [context];
+        relevantTabs = tabs.filter(t =>
+          keywords.some(k =>
+            t.domain.includes(k) ||
+            t.title.toLowerCase().includes(k) ||
+            t.url.toLowerCase().includes(k)
+          )
+        );
+      }
+
+      // Sort by recent access
+      relevantTabs.sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+
+      const top = relevantTabs.slice(0, 5);
+
+      if (top.length === 0) {
+        return {
+          content: [{
+            type: 'text',
+            text: context
+              ? `No tabs found related to "${context}". Try a different context or sync your tabs again.`
+              : 'Sync your tabs first to get focus suggestions.'
+          }]
+        };
+      }
+
+      const output = top.map((t, i) =>
+        `${i + 1}. ${t.title}\n   ${t.url}`
+      ).join('\n\n');
+
+      return {
+        content: [{
+          type: 'text',
+          text: context
+            ? `Top tabs for "${context}":\n\n${output}`
+            : `Your most recently accessed tabs:\n\n${output}`
+        }],
+        structuredContent: { context, tabs: top.map(tabInfo) }
+      };
+    }
+
+    case 'save_session': {
+      const { name: sessionName, windowId, overwrite = false } = args || {};
+
+      if (!sessionName) {
+        return { content: [{ type: 'text', text: 'Please provide a name for the session.' }] };
+      }
+
+      const sessions = loadSessions();
+      const existing = findSession(sessions, sessionName);
+      if (existing && !overwrite) {
+        return {
+          content: [{
+            type: 'text',
+            text: `A session named "${existing.name}" already exists. Pass overwrite: true to replace it.`
+          }]
+        };
+      }
+
+      const conflict = windowId && describeBrowserConflict(tabs.filter(t => t.windowId === windowId), browsers, `Window ${windowId}`);
+      if (conflict) {
+        return { content: [{ type: 'text', text: conflict }] };
+      }
+
+      const session = buildSession(sessionName, tabs, groups, windowId);
+      if (session.windows.length === 0) {
+        return { content: [{ type: 'text', text: windowId ? `No tabs found in window ${windowId}.` : 'No tabs to save.' }] };
+      }
+
+      if (!dryRun) {
+        saveSessions([...sessions.filter(s => s !== existing), session]);
+      }
+
+      const summary = summarizeSession(session);
+      return {
+        content: [{
+          type: 'text',
+          text: `${dryRun ? 'Would save' : 'Saved'} session "${sessionName}": ${summary.tabCount} tabs in ${summary.windowCount} window(s), ${summary.groupCount} group(s) (tab data from ${dataAge}).`
+        }],
+        structuredContent: { session: summary, ...(dryRun && { dryRun }) }
+      };
+    }
+
+    case 'read_tab_content': {
+      const { tab, error } = findPageTab(tabs, browsers, args, 'read');
+      if (error) {
+        return { content: [{ type: 'text', text: error }] };
+      }
+
+      const [queued] = queueCommand({
+        action: 'read_content',
+        tabId: tab.id,
+        offset: Math.max(0, args?.offset || 0),
+        maxLength: Math.min(args?.maxLength || DEFAULT_CONTENT_LENGTH, MAX_CONTENT_LENGTH),
+        description: `Read content of: ${tab.title}`
+      }, [tab]);
+      if (dryRun) {
+        return { content: [{ type: 'text', text: `Would read the content of "${tab.title}" (${tab.url}).` }] };
+      }
+
+      const { status, data } = await waitForResponse(queued.id, args?.timeout);
+      return formatContentResponse(status, data);
+    }
+
+    case 'capture_tab_screenshot': {
+      const { tab, error } = findPageTab(tabs, browsers, args, 'capture');
+      if (error) {
+        return { content: [{ type: 'text', text: error }] };
+      }
+
+      const [queued] = queueCommand({
+        action: 'capture_screenshot',
+        tabId: tab.id,
+        format: args?.format === 'png' ? 'png' : 'jpeg',
+        quality: Math.min(100, Math.max(1, args?.quality || 80)),
+        maxWidth: Math.min(args?.maxWidth || DEFAULT_SCREENSHOT_WIDTH, MAX_SCREENSHOT_WIDTH),
+        description: `Capture screenshot of: ${tab.title}`
+      }, [tab]);
+      if (dryRun) {
+        return { content: [{ type: 'text', text: `Would capture a screenshot of "${tab.title}" (${tab.url}).` }] };
+      }
+
+      const { status, data } = await waitForResponse(queued.id, args?.timeout);
+      return formatScreenshotResponse(status, data);
+    }
+
+    case 'search_tab_contents': {
+      if (!args?.query) {
+        return { content: [{ type: 'text', text: 'Please provide a search query.' }] };
+      }
+
+      // The index covers every browser; it is brought up to date with the full snapshot
+      const indexed = updateIndex(loadTabs()?.tabs || []);
+      if (indexed === 0) {
+        return {
+          content: [{
+            type: 'text',
+            text: 'No page text has been captured yet. Switch on "Capture page text for search" in the extension popup; pages are indexed as they load (reload open tabs to index them now).'
+          }]
+        };
+      }
+
+      const matches = searchIndex(args.query, { limit: args?.limit || 10, browsers: browsers.map(b => b.id) });
+      if (matches.length === 0) {
+        return { content: [{ type: 'text', text: `No open page contains "${args.query}" (${indexed} pages indexed).` }] };
+      }
+
+      const output = matches.map((m, i) =>
+        `${i + 1}. ${m.title}\n   ${m.url}\n   [Tab ${m.tabId}${browsers.length > 1 ? `, ${browsers.find(b => b.id === m.browser)?.name || m.browser}` : ''}] ${m.snippet}`
+      ).join('\n\n');
+
+      return {
+        content: [{
+          type: 'text',
+          text: `Found ${matches.length} page(s) matching "${args.query}" (${indexed} pages indexed):\n\n${output}`
+        }],
+        structuredContent: { query: args.query, indexedCount: indexed, matches }
+      };
+    }
+
+    // ACTION HANDLERS
+    case 'close_tabs': {
+      const { tabs: tabsToClose, error } = selectTabs(tabs, browsers, args);
+      if (error) {
+        return { content: [{ type: 'text', text: error }] };
+      }
+      if (tabsToClose.length === 0) {
+        return { content: [{ type: 'text', text: 'No matching tabs found to close.' }] };
+      }
+
+      queueCommand({
+        action: 'close_tabs',
+        tabIds: tabsToClose.map(t => t.id),
+        description: `Close ${tabsToClose.length} tabs`
+      }, tabsToClose);
 
-  switch (name) {
-    case 'list_tabs': {
-      let filtered = tabs;
+      return {
+        content: [{
+          type: 'text',
+          text: `${dryRun ? 'Would close' : 'Queued closing'} ${tabsToClose.length} tabs:\n${tabsToClose.map(t => `- ${t.title}`).join('\n')}${executeHint}`
+        }],
+        structuredContent: { tabs: tabsToClose.map(tabInfo) }
+      };
+    }
 
-      if (args?.domain) {
-        filtered = filtered.filter(t => t.domain.includes(args.domain.toLowerCase()));
+    case 'stash_tabs': {
+      const { tabs: tabsToStash, error } = selectTabs(tabs, browsers, args);
+      if (error) {
+        return { content: [{ type: 'text', text: error }] };
       }
-      if (args?.search) {
-        const search = args.search.toLowerCase();
-        filtered = filtered.filter(t =>
-          t.title.toLowerCase().includes(search) ||
-          t.url.toLowerCase().includes(search)
-        );
+      if (tabsToStash.length === 0) {
+        return { content: [{ type: 'text', text: 'No matching tabs found to stash.' }] };
       }
 
-      const output = filtered.map((t, i) =>
-        `${i + 1}. ${t.title}\n   ${t.url}\n   [${t.domain}] ${t.pinned ? '📌' : ''} ${t.audible ? '🔊' : ''}`
-      ).join('\n\n');
+      // Saved right away, so the tabs are kept even if closing them is declined
+      const entries = dryRun ? [] : addToStash(tabsToStash, groups);
+      queueCommand({
+        action: 'close_tabs',
+        tabIds: tabsToStash.map(t => t.id),
+        description: `Stash ${tabsToStash.length} tabs`
+      }, tabsToStash);
 
       return {
         content: [{
           type: 'text',
-          text: `Found ${filtered.length} tabs (data from ${dataAge}):\n\n${output}`
-        }]
+          text: `${dryRun ? `Would stash ${tabsToStash.length} tabs and close them` : `Stashed ${tabsToStash.length} tabs and queued closing them`}:\n${tabsToStash.map(t => `- ${t.title}`).join('\n')}\n\nUse restore_stash to reopen them.${executeHint}`
+        }],
+        structuredContent: { tabs: tabsToStash.map(tabInfo), entries }
       };
     }
 
-    case 'group_tabs_by_domain': {
-      const domainCounts = {};
-      tabs.forEach(t => {
-        domainCounts[t.domain] = (domainCounts[t.domain] || 0) + 1;
+    case 'restore_stash': {
+      const { newWindow = false, background = false, keepInStash = false } = args || {};
+
+      const stash = loadStash();
+      const entries = filterStash(stash, args);
+      if (entries.length === 0) {
+        return { content: [{ type: 'text', text: stash.length === 0 ? 'The stash is empty.' : 'No stashed tabs match.' }] };
+      }
+
+      // Each entry reopens in the browser it was stashed from, unless a browser was asked for;
+      // entries of a browser that isn't synced go to the one synced last
+      const browserFor = entry => (!args?.browser && browsers.find(b => b.id === entry.browser)) || browsers[0];
+      const rules = loadDuplicateRules();
+      // Tabs a pending close (e.g. from stash_tabs) is about to close don't count as open
+      const closing = new Set(loadCommands()
+        .filter(c => c.status === 'pending' && c.action === 'close_tabs')
+        .flatMap(c => c.tabIds.map(id => `${c.browser}\n${id}`)));
+      const toOpen = [];
+      const restores = browsers
+        .map(browser => ({ browser, entries: entries.filter(e => browserFor(e) === browser) }))
+        .filter(r => r.entries.length > 0)
+        .map(({ browser, entries: browserEntries }) => {
+          // Pages already open (or stashed twice) are opened once, but all matching entries leave the stash
+          const openTabs = tabs.filter(t => t.browser === browser.id && !closing.has(`${t.browser}\n${t.id}`));
+          const openUrls = indexOpenUrls(openTabs, rules);
+          const browserToOpen = browserEntries.filter(e => {
+            const key = normalizeUrl(e.url, rules);
+            if (openUrls.has(key)) return false;
+            openUrls.set(key, e);
+            return true;
+          });
+          toOpen.push(...browserToOpen);
+          return { browser, entries: browserEntries, toOpen: browserToOpen };
+        });
+
+      // Entries leave the stash once their tabs are open: the native host removes them when the
+      // command completes, so a rejected or failed restore keeps them
+      const removeNow = [];
+      restores.forEach(({ browser, entries: browserEntries, toOpen: browserToOpen }) => {
+        if (browserToOpen.length === 0) {
+          removeNow.push(...browserEntries);
+          return;
+        }
+        const groupKeys = [...new Set(browserToOpen.filter(e => e.group).map(e => `${e.group.title}\n${e.group.color}`))];
+        queueCommand({
+          action: 'open_tabs',
+          browser: browser.id,
+          background,
+          windows: [{
+            newWindow,
+            ...(!newWindow && { windowId: browser.focusedWindowId }),
+            tabs: browserToOpen.map(e => ({
+              url: e.url,
+              ...(e.group && { group: groupKeys.indexOf(`${e.group.title}\n${e.group.color}`) })
+            })),
+            groups: groupKeys.map(key => {
+              const [title, color] = key.split('\n');
+              return { title, color };
+            })
+          }],
+          ...(!keepInStash && { stashIds: browserEntries.map(e => e.id) }),
+          description: `Restore ${browserToOpen.length} stashed tabs${newWindow ? ' in a new window' : ''}`
+        });
       });
 
-      const sorted = Object.entries(domainCounts)
-        .sort((a, b) => b[1] - a[1])
-        .map(([domain, count]) => `${domain}: ${count} tab${count > 1 ? 's' : ''}`)
-        .join('\n');
+      const removed = keepInStash ? [] : removeNow;
+      if (removed.length > 0 && !dryRun) {
+        saveStash(stash.filter(e => !removed.includes(e)));
+      }
+
+      const pendingRemoval = keepInStash ? 0 : entries.length - removed.length;
+      const alreadyOpen = entries.length - toOpen.length;
+      const lines = [
+        toOpen.length > 0
+          ? `${dryRun ? 'Would reopen' : 'Queued reopening'} ${toOpen.length} stashed tabs${newWindow ? ' in a new window' : ''}:\n${toOpen.map(e => `- ${e.title}`).join('\n')}`
+          : 'All matching stashed tabs are already open.',
+        ...(alreadyOpen > 0 ? [`${alreadyOpen} already open, not reopened.`] : []),
+        ...(keepInStash ? ['The entries stay in the stash.'] : []),
+        ...(removed.length > 0 ? [`${dryRun ? 'Would remove' : 'Removed'} ${removed.length} entries from the stash.`] : []),
+        ...(pendingRemoval > 0 ? [`${pendingRemoval} entries leave the stash once the tabs are open; if the restore is rejected or fails, they stay.`] : []),
+        ...(toOpen.length > 0 && !dryRun ? [EXECUTE_HINT] : [])
+      ];
+      return {
+        content: [{ type: 'text', text: lines.join('\n\n') }],
+        structuredContent: {
+          opening: toOpen,
+          alreadyOpen: entries.filter(e => !toOpen.includes(e)),
+          removedFromStash: dryRun ? 0 : removed.length,
+          pendingRemoval
+        }
+      };
+    }
+
+    case 'bookmark_tabs': {
+      const { groupName, parentFolder, closeTabs = false } = args || {};
+
+      let tabsToBookmark;
+      let groupTitle;
+      if (groupName) {
+        const matchingGroups = groups.filter(g => g.title.toLowerCase() === groupName.toLowerCase());
+        groupTitle = matchingGroups[0]?.title;
+        tabsToBookmark = tabs.filter(t => matchingGroups.includes(findGroup(groups, t)));
+      } else {
+        const selected = selectTabs(tabs, browsers, args);
+        if (selected.error) {
+          return { content: [{ type: 'text', text: selected.error }] };
+        }
+        tabsToBookmark = selected.tabs;
+      }
+      if (tabsToBookmark.length === 0) {
+        return { content: [{ type: 'text', text: 'No matching tabs found to bookmark.' }] };
+      }
+
+      const folderName = args?.folderName || groupTitle || `Tabs ${new Date().toISOString().slice(0, 10)}`;
+      const where = `"${parentFolder ? `${parentFolder}/` : ''}${folderName}"`;
+      queueCommand({
+        action: 'bookmark_tabs',
+        tabIds: tabsToBookmark.map(t => t.id),
+        folderName,
+        ...(parentFolder && { parentFolder }),
+        ...(closeTabs && { closeTabs: true }),
+        description: `Bookmark ${tabsToBookmark.length} tabs in ${where}${closeTabs ? ' and close them' : ''}`
+      }, tabsToBookmark);
 
       return {
         content: [{
           type: 'text',
-          text: `Tabs grouped by domain (${Object.keys(domainCounts).length} unique domains):\n\n${sorted}`
-        }]
+          text: `${dryRun ? 'Would bookmark' : 'Queued bookmarking'} ${tabsToBookmark.length} tabs in folder ${where}${closeTabs ? ', then closing them' : ''}:\n${tabsToBookmark.map(t => `- ${t.title}`).join('\n')}${executeHint}`
+        }],
+        structuredContent: { folder: `${parentFolder ? `${parentFolder}/` : ''}${folderName}`, tabs: tabsToBookmark.map(tabInfo) }
       };
     }
 
-    case 'find_duplicate_tabs': {
-      const urlCounts = {};
-      tabs.forEach(t => {
-        urlCounts[t.url] = (urlCounts[t.url] || []);
-        urlCounts[t.url].push(t);
+    case 'search_bookmarks': {
+      if (!args?.query) {
+        return { content: [{ type: 'text', text: 'Please provide a search query.' }] };
+      }
+
+      const [queued] = queueCommand({
+        action: 'search_bookmarks',
+        query: args.query,
+        limit: args?.limit || 20,
+        description: `Search bookmarks for "${args.query}"`
       });
+      if (dryRun) {
+        return { content: [{ type: 'text', text: `Would search the bookmarks for "${args.query}".` }] };
+      }
 
-      const duplicates = Object.entries(urlCounts)
-        .filter(([url, tabs]) => tabs.length > 1)
-        .map(([url, tabs]) => `${tabs.length}x: ${tabs[0].title}\n   ${url}`)
-        .join('\n\n');
+      const { status, data } = await waitForResponse(queued.id, args?.timeout);
+      return {
+        content: [{ type: 'text', text: data ? formatBookmarkResults(args.query, data) : describeMissingResponse(status, 'search_bookmarks') }],
+        ...(data && { structuredContent: { query: args.query, total: data.total, results: data.results } })
+      };
+    }
 
-      if (!duplicates) {
-        return { content: [{ type: 'text', text: 'No duplicate tabs found!' }] };
+    case 'search_history': {
+      const { query = '', days = 7, since, until } = args || {};
+      const startTime = since ? Date.parse(since) : Date.now() - days * 24 * 60 * 60 * 1000;
+      const endTime = until ? Date.parse(until) : undefined;
+      if (Number.isNaN(startTime) || Number.isNaN(endTime)) {
+        return { content: [{ type: 'text', text: 'since and until must be dates like "2024-05-31" or "2024-05-31T14:00".' }] };
+      }
+
+      const range = since || until
+        ? `${since || 'the beginning'} to ${until || 'now'}`
+        : `the last ${days} day(s)`;
+      const [queued] = queueCommand({
+        action: 'search_history',
+        text: query,
+        startTime,
+        ...(endTime && { endTime }),
+        maxResults: args?.limit || 50,
+        description: `Search history${query ? ` for "${query}"` : ''} (${range})`
+      });
+      if (dryRun) {
+        return { content: [{ type: 'text', text: `Would search the browser history${query ? ` for "${query}"` : ''} (${range}).` }] };
       }
 
+      const { status, data } = await waitForResponse(queued.id, args?.timeout);
       return {
-        content: [{
-          type: 'text',
-          text: `Found duplicate tabs:\n\n${duplicates}`
-        }]
+        content: [{ type: 'text', text: data ? formatHistoryResults(query, data) : describeMissingResponse(status, 'search_history') }],
+        ...(data && { structuredContent: { query, results: data.results } })
       };
     }
 
-    case 'find_old_tabs': {
-      const hours = args?.hours || 24;
-      const cutoff = Date.now() - (hours * 60 * 60 * 1000);
+    case 'list_recently_closed': {
+      const [queued] = queueCommand({
+        action: 'list_recently_closed',
+        limit: args?.limit || 25,
+        description: 'List recently closed tabs'
+      });
+      if (dryRun) {
+        return { content: [{ type: 'text', text: 'Would list the recently closed tabs.' }] };
+      }
 
-      const oldTabs = tabs
-        .filter(t => t.lastAccessed && t.lastAccessed < cutoff)
-        .sort((a, b) => a.lastAccessed - b.lastAccessed)
-        .map(t => `${t.title}\n   ${t.domain} - last accessed ${formatAge(t.lastAccessed)}`);
+      const { status, data } = await waitForResponse(queued.id, args?.timeout);
+      return {
+        content: [{ type: 'text', text: data ? formatRecentlyClosed(data) : describeMissingResponse(status, 'list_recently_closed') }],
+        ...(data && { structuredContent: { results: data.results } })
+      };
+    }
+
+    case 'restore_closed_tab': {
+      const { sessionId, search } = args || {};
+      if (!sessionId && !search) {
+        return { content: [{ type: 'text', text: 'Please provide a sessionId from list_recently_closed, or a search term.' }] };
+      }
+
+      const what = sessionId ? `session ${sessionId}` : `the last closed tab matching "${search}"`;
+      queueCommand({
+        action: 'restore_closed_tab',
+        ...(sessionId ? { sessionId: String(sessionId) } : { search }),
+        description: `Reopen ${what}`
+      });
 
-      if (oldTabs.length === 0) {
-        return { content: [{ type: 'text', text: `No tabs older than ${hours} hours found.` }] };
+      return { content: [{ type: 'text', text: `${dryRun ? 'Would reopen' : 'Queued reopening'} ${what}.${executeHint}` }] };
+    }
+
+    case 'open_bookmark_folder': {
+      const { folderId, folderName, newWindow = false, background = false } = args || {};
+      if (!folderId && !folderName) {
+        return { content: [{ type: 'text', text: 'Please provide a folderName (or path like "Bookmarks bar/Work") or a folderId from search_bookmarks.' }] };
       }
 
+      const folder = folderName ? `"${folderName}"` : `#${folderId}`;
+      queueCommand({
+        action: 'open_bookmark_folder',
+        ...(folderId ? { folderId: String(folderId) } : { folderName }),
+        newWindow,
+        background,
+        description: `Open bookmark folder ${folder}${newWindow ? ' in a new window' : ''}`
+      });
+
       return {
         content: [{
           type: 'text',
-          text: `Found ${oldTabs.length} tabs not accessed in ${hours}+ hours:\n\n${oldTabs.join('\n\n')}`
+          text: `${dryRun ? 'Would open' : 'Queued opening'} bookmark folder ${folder}${newWindow ? ' in a new window' : ''}, as tab groups named after the folder and its subfolders. Pages already open are skipped.${executeHint}`
         }]
       };
     }
 
-    case 'get_tab_stats': {
-      const domains = new Set(tabs.map(t => t.domain));
-      const pinnedCount = tabs.filter(t => t.pinned).length;
-      const audibleCount = tabs.filter(t => t.audible).length;
-      const groupedCount = tabs.filter(t => t.groupId && t.groupId !== -1).length;
+    case 'close_duplicate_tabs': {
+      const clusters = findDuplicatesPerBrowser(tabs, browsers, { keepPolicy: args?.keepPolicy });
+      const duplicateTabs = clusters.flatMap(d => d.duplicates);
+      const duplicateIds = duplicateTabs.map(t => t.id);
+
+      if (duplicateIds.length === 0) {
+        return { content: [{ type: 'text', text: 'No duplicate tabs found!' }] };
+      }
+
+      queueCommand({
+        action: 'close_tabs',
+        tabIds: duplicateIds,
+        description: `Close ${duplicateIds.length} duplicate tabs`
+      }, duplicateTabs);
 
       return {
         content: [{
           type: 'text',
-          text: `Tab Statistics (data from ${dataAge}):
-- Total tabs: ${tabCount}
-- Windows: ${windowCount}
-- Unique domains: ${domains.size}
-- Pinned tabs: ${pinnedCount}
-- Playing audio: ${audibleCount}
-- In groups: ${groupedCount}
-- Tab groups: ${groups.length}`
-        }]
+          text: `${dryRun ? 'Would close' : 'Queued closing'} ${duplicateIds.length} duplicate tabs.${executeHint}`
+        }],
+        structuredContent: { clusters: clusters.map(c => toClusterInfo(c, groups)) }
       };
     }
 
-    case 'find_tabs_by_category': {
-      const categories = {
-        'Development': ['github.com', 'gitlab.com', 'stackoverflow.com', 'localhost', 'npmjs.com', 'docs.', 'developer.'],
-        'Social': ['twitter.com', 'x.com', 'facebook.com', 'linkedin.com', 'instagram.com', 'reddit.com', 'discord.com'],
-        'Communication': ['mail.google.com', 'outlook.', 'slack.com', 'teams.microsoft.com', 'zoom.us'],
-        'Productivity': ['notion.so', 'docs.google.com', 'sheets.google.com', 'drive.google.com', 'trello.com', 'asana.com', 'jira.'],
-        'Shopping': ['amazon.', 'ebay.', 'etsy.com', 'shop.', 'store.'],
-        'Entertainment': ['youtube.com', 'netflix.com', 'spotify.com', 'twitch.tv', 'hulu.com'],
-        'News': ['news.', 'cnn.com', 'bbc.', 'nytimes.com', 'theguardian.com', 'hackernews', 'ycombinator.com'],
-        'AI Tools': ['claude.ai', 'chat.openai.com', 'chatgpt.com', 'anthropic.com', 'huggingface.co']
-      };
-
-      const categorized = {};
-      const uncategorized = [];
-
-      tabs.forEach(tab => {
-        let found = false;
-        for (const [category, patterns] of Object.entries(categories)) {
-          if (patterns.some(p => tab.domain.includes(p) || tab.url.includes(p))) {
-            categorized[category] = categorized[category] || [];
-            categorized[category].push(tab);
-            found = true;
-            break;
-          }
-        }
-        if (!found) uncategorized.push(tab);
-      });
+    case 'create_tab_group': {
+      const { name, domain, color, collapsed = true } = args || {};
 
-      let output = '';
-      for (const [category, tabs] of Object.entries(categorized)) {
-        output += `\n${category} (${tabs.length}):\n`;
-        tabs.forEach(t => { output += `  - ${t.title}\n`; });
+      if (!name || !domain) {
+        return { content: [{ type: 'text', text: 'Please provide both name and domain for the tab group.' }] };
       }
-      if (uncategorized.length > 0) {
-        output += `\nOther (${uncategorized.length}):\n`;
-        uncategorized.slice(0, 10).forEach(t => { output += `  - ${t.title} [${t.domain}]\n`; });
-        if (uncategorized.length > 10) output += `  ... and ${uncategorized.length - 10} more\n`;
+
+      const matchingTabs = tabs.filter(t => t.domain.includes(domain.toLowerCase()));
+
+      if (matchingTabs.length === 0) {
+        return { content: [{ type: 'text', text: `No tabs found matching domain "${domain}"` }] };
       }
 
-      return { content: [{ type: 'text', text: `Tabs by category:${output}` }] };
-    }
+      queueCommand({
+        action: 'create_group',
+        tabIds: matchingTabs.map(t => t.id),
+        groupName: name,
+        color: color || 'blue',
+        collapsed,
+        description: `Group ${matchingTabs.length} tabs as "${name}"`
+      }, matchingTabs);
 
-    case 'suggest_tab_organization': {
-      const suggestions = [];
+      return {
+        content: [{
+          type: 'text',
+          text: `${dryRun ? 'Would group' : 'Queued grouping'} ${matchingTabs.length} tabs as "${name}":\n${matchingTabs.map(t => `- ${t.title}`).join('\n')}${executeHint}`
+        }],
+        structuredContent: { group: { title: name, color: color || 'blue' }, tabs: matchingTabs.map(tabInfo) }
+      };
+    }
 
-      // Check for duplicates
-      const urlCounts = {};
-      tabs.forEach(t => { urlCounts[t.url] = (urlCounts[t.url] || 0) + 1; });
-      const duplicateCount = Object.values(urlCounts).filter(c => c > 1).reduce((a, b) => a + b, 0) - Object.values(urlCounts).filter(c => c > 1).length;
-      if (duplicateCount > 0) {
-        suggestions.push(`Close ${duplicateCount} duplicate tabs`);
+    case 'update_tab_group': {
+      const { title, color, collapsed } = args || {};
+      const { group, error } = findTargetGroup(groups, browsers, args);
+      if (error) {
+        return { content: [{ type: 'text', text: error }] };
+      }
+      if (title === undefined && color === undefined && collapsed === undefined) {
+        return { content: [{ type: 'text', text: 'Please provide a new title, color or collapsed state.' }] };
+      }
+      if (color !== undefined && !GROUP_COLORS.includes(color)) {
+        return { content: [{ type: 'text', text: `color must be one of: ${GROUP_COLORS.join(', ')}` }] };
       }
 
-      // Check for domain clusters
-      const domainCounts = {};
-      tabs.forEach(t => { domainCounts[t.domain] = (domainCounts[t.domain] || 0) + 1; });
-      const largeClusters = Object.entries(domainCounts).filter(([d, c]) => c >= 5);
-      largeClusters.forEach(([domain, count]) => {
-        suggestions.push(`Group ${count} tabs from ${domain} together`);
-      });
+      const changes = [
+        ...(title !== undefined ? [`rename to "${title}"`] : []),
+        ...(color !== undefined ? [`color ${color}`] : []),
+        ...(collapsed !== undefined ? [collapsed ? 'collapse' : 'expand'] : [])
+      ].join(', ');
+      const groupTabs = tabs.filter(t => findGroup(groups, t) === group);
+      queueCommand({
+        action: 'update_group',
+        groupId: group.id,
+        ...(title !== undefined && { title }),
+        ...(color !== undefined && { color }),
+        ...(collapsed !== undefined && { collapsed }),
+        description: `Group "${group.title}": ${changes}`
+      }, groupTabs);
 
-      // Check total count
-      if (tabCount > 50) {
-        suggestions.push(`Consider closing some tabs - ${tabCount} is a lot!`);
+      return {
+        content: [{ type: 'text', text: `${dryRun ? 'Would change' : 'Queued changing'} group "${group.title}": ${changes}.${executeHint}` }],
+        structuredContent: { group: groupInfo(group), changes: { title, color, collapsed } }
+      };
+    }
+
+    case 'add_tabs_to_group': {
+      const { group, error } = findTargetGroup(groups, browsers, args);
+      if (error) {
+        return { content: [{ type: 'text', text: error }] };
       }
 
-      // Check for old tabs
-      const dayAgo = Date.now() - (24 * 60 * 60 * 1000);
-      const oldCount = tabs.filter(t => t.lastAccessed && t.lastAccessed < dayAgo).length;
-      if (oldCount > 5) {
-        suggestions.push(`Review ${oldCount} tabs not accessed in 24+ hours`);
+      // Only tabs of the group's own browser can join it
+      const browserTabs = tabs.filter(t => t.browser === group.browser);
+      const selected = selectTabs(browserTabs, browsers, args);
+      if (selected.error) {
+        return { content: [{ type: 'text', text: selected.error }] };
       }
+      const tabsToAdd = selected.tabs.filter(t => findGroup(groups, t) !== group);
+      if (tabsToAdd.length === 0) {
+        return { content: [{ type: 'text', text: `No matching tabs outside group "${group.title}" found.` }] };
+      }
+
+      queueCommand({
+        action: 'create_group',
+        groupId: group.id,
+        groupName: group.title,
+        tabIds: tabsToAdd.map(t => t.id),
+        description: `Add ${tabsToAdd.length} tabs to group "${group.title}"`
+      }, tabsToAdd);
 
       return {
         content: [{
           type: 'text',
-          text: suggestions.length > 0
-            ? `Suggestions for organizing your ${tabCount} tabs:\n\n${suggestions.map((s, i) => `${i + 1}. ${s}`).join('\n')}`
-            : 'Your tabs look pretty well organized!'
-        }]
+          text: `${dryRun ? 'Would add' : 'Queued adding'} ${tabsToAdd.length} tabs to group "${group.title}":\n${tabsToAdd.map(t => `- ${t.title}`).join('\n')}${executeHint}`
+        }],
+        structuredContent: { group: groupInfo(group), tabs: tabsToAdd.map(tabInfo) }
       };
     }
 
-    case 'suggest_focus_tabs': {
-      const context = args?.context?.toLowerCase() || '';
+    case 'move_tab_group': {
+      const { windowId, newWindow = false, index } = args || {};
+      const { group, error } = findTargetGroup(groups, browsers, args);
+      if (error) {
+        return { content: [{ type: 'text', text: error }] };
+      }
+      if (windowId && !tabs.some(t => t.browser === group.browser && t.windowId === windowId)) {
+        return { content: [{ type: 'text', text: `Window ${windowId} not found in the group's browser.` }] };
+      }
+      if (!newWindow && !windowId && index === undefined) {
+        return { content: [{ type: 'text', text: 'Please provide a windowId, an index, or newWindow.' }] };
+      }
 
-      let relevantTabs = tabs;
+      const groupTabs = tabs.filter(t => findGroup(groups, t) === group);
+      const position = index !== undefined ? ` at position ${index}` : '';
+      const target = newWindow ? 'a new window' : `window ${windowId || group.windowId}${position}`;
+      queueCommand(newWindow
+        ? { action: 'move_to_window', tabIds: [], groupIds: [group.id], newWindow: true, description: `Move group "${group.title}" to a new window` }
+        : {
+            action: 'move_group',
+            groupId: group.id,
+            ...(windowId && { windowId }),
+            ...(index !== undefined && { index }),
+            description: `Move group "${group.title}" to ${target}`
+          },
+      groupTabs);
 
-      // If context provided, filter for relevant tabs
-      if (context) {
-        const contextKeywords = {
-          'coding': ['github', 'stackoverflow', 'docs', 'localhost', 'npm', 'developer'],
-          'code': ['github', 'stackoverflow', 'docs', 'localhost', 'npm', 'developer'],
-          'research': ['scholar', 'arxiv', 'wikipedia', 'paper', 'research', 'docs'],
-          'email': ['mail', 'outlook', 'gmail', 'inbox'],
-          'emails': ['mail', 'outlook', 'gmail', 'inbox'],
-          'work': ['jira', 'confluence', 'slack', 'teams', 'notion', 'docs.google', 'drive'],
-          'meeting': ['zoom', 'meet.google', 'teams', 'calendar'],
-          'meetings': ['zoom', 'meet.google', 'teams', 'calendar']
-        };
+      return {
+        content: [{ type: 'text', text: `${dryRun ? 'Would move' : 'Queued moving'} group "${group.title}" (${groupTabs.length} tabs) to ${target}.${executeHint}` }],
+        structuredContent: { group: groupInfo(group), target: { newWindow, windowId: newWindow ? undefined : windowId || group.windowId, index } }
+      };
+    }
 
-        const keywords = contextKeywords[context] || [context];
-        relevantTabs = tabs.filter(t =>
-          keywords.some(k =>
-            t.domain.includes(k) ||
-            t.title.toLowerCase().includes(k) ||
-            t.url.toLowerCase().includes(k)
-          )
-        );
+    case 'close_tab_group': {
+      const { group, error } = findTargetGroup(groups, browsers, args);
+      if (error) {
+        return { content: [{ type: 'text', text: error }] };
       }
 
-      // Sort by recent access
-      relevantTabs.sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+      const groupTabs = tabs.filter(t => findGroup(groups, t) === group);
+      if (groupTabs.length === 0) {
+        return { content: [{ type: 'text', text: `Group "${group.title}" has no tabs.` }] };
+      }
 
-      const top = relevantTabs.slice(0, 5);
+      queueCommand({
+        action: 'close_tabs',
+        tabIds: groupTabs.map(t => t.id),
+        description: `Close group "${group.title}" (${groupTabs.length} tabs)`
+      }, groupTabs);
 
-      if (top.length === 0) {
-        return {
-          content: [{
-            type: 'text',
-            text: context
-              ? `No tabs found related to "${context}". Try a different context or sync your tabs again.`
-              : 'Sync your tabs first to get focus suggestions.'
-          }]
-        };
+      return {
+        content: [{
+          type: 'text',
+          text: `${dryRun ? 'Would close' : 'Queued closing'} group "${group.title}" with ${groupTabs.length} tabs:\n${groupTabs.map(t => `- ${t.title}`).join('\n')}${executeHint}`
+        }],
+        structuredContent: { group: groupInfo(group), tabs: groupTabs.map(tabInfo) }
+      };
+    }
+
+    case 'focus_tab': {
+      const { tabId, search } = args || {};
+
+      let targetTab = null;
+      if (tabId) {
+        const matching = tabs.filter(t => t.id === tabId);
+        const conflict = describeBrowserConflict(matching, browsers, `Tab ${tabId}`);
+        if (conflict) {
+          return { content: [{ type: 'text', text: conflict }] };
+        }
+        targetTab = matching[0];
+      } else if (search) {
+        const s = search.toLowerCase();
+        targetTab = tabs.find(t =>
+          t.title.toLowerCase().includes(s) ||
+          t.url.toLowerCase().includes(s)
+        );
       }
 
-      const output = top.map((t, i) =>
-        `${i + 1}. ${t.title}\n   ${t.url}`
-      ).join('\n\n');
+      if (!targetTab) {
+        return { content: [{ type: 'text', text: 'Tab not found.' }] };
+      }
+
+      queueCommand({
+        action: 'focus_tab',
+        tabId: targetTab.id,
+        windowId: targetTab.windowId,
+        description: `Focus: ${targetTab.title}`
+      }, [targetTab]);
 
       return {
         content: [{
           type: 'text',
-          text: context
-            ? `Top tabs for "${context}":\n\n${output}`
-            : `Your most recently accessed tabs:\n\n${output}`
-        }]
+          text: `${dryRun ? 'Would focus' : 'Queued focus on'}: ${targetTab.title}${executeHint}`
+        }],
+        structuredContent: { tab: tabInfo(targetTab) }
       };
     }
 
-    // ACTION HANDLERS
-    case 'close_tabs': {
-      const { domain, urlPattern, tabIds } = args || {};
+    case 'open_tabs': {
+      const { urls = [], newWindow = false, windowId, background = false, pinned = false, groupName, color, allowDuplicates = false } = args || {};
 
-      let tabsToClose = [];
-      if (tabIds && tabIds.length > 0) {
-        tabsToClose = tabs.filter(t => tabIds.includes(t.id));
-      } else if (domain) {
-        tabsToClose = tabs.filter(t => t.domain.includes(domain.toLowerCase()));
-      } else if (urlPattern) {
-        tabsToClose = tabs.filter(t => t.url.toLowerCase().includes(urlPattern.toLowerCase()));
+      if (urls.length === 0) {
+        return { content: [{ type: 'text', text: 'Please provide the URLs to open.' }] };
+      }
+      if (pinned && groupName) {
+        return { content: [{ type: 'text', text: 'Pinned tabs cannot be in a group: pass either pinned or groupName.' }] };
+      }
+      const invalid = urls.filter(url => !toOpenableUrl(url));
+      if (invalid.length > 0) {
+        return { content: [{ type: 'text', text: `Not a valid URL: ${invalid.join(', ')}` }] };
+      }
+
+      // Tabs open in one browser: the one owning the requested window or group, else the last synced
+      let browser = browsers[0];
+      if (windowId && !newWindow) {
+        const windowTabs = tabs.filter(t => t.windowId === windowId);
+        if (windowTabs.length === 0) {
+          return { content: [{ type: 'text', text: `Window ${windowId} not found.` }] };
+        }
+        const conflict = describeBrowserConflict(windowTabs, browsers, `Window ${windowId}`);
+        if (conflict) {
+          return { content: [{ type: 'text', text: conflict }] };
+        }
+        browser = browsers.find(b => b.id === windowTabs[0].browser);
+      }
+
+      // An existing group is joined, preferring one in the target window; its tabs then open in its window
+      const targetWindowId = newWindow ? null : windowId || browser.focusedWindowId;
+      const namedGroups = groupName && !newWindow
+        ? groups.filter(g => g.title.toLowerCase() === groupName.toLowerCase() && (windowId ? g.browser === browser.id : true))
+        : [];
+      const existingGroup = namedGroups.find(g => g.browser === browser.id && g.windowId === targetWindowId) ||
+        namedGroups.find(g => g.browser === browser.id) ||
+        (!windowId && namedGroups.length > 0 ? namedGroups[0] : null);
+      if (existingGroup && !windowId) {
+        browser = browsers.find(b => b.id === existingGroup.browser);
       }
 
-      if (tabsToClose.length === 0) {
-        return { content: [{ type: 'text', text: 'No matching tabs found to close.' }] };
+      const rules = loadDuplicateRules();
+      const openUrls = indexOpenUrls(tabs.filter(t => t.browser === browser.id), rules);
+      const toOpen = [];
+      const skipped = [];
+      urls.map(toOpenableUrl).forEach(url => {
+        const key = normalizeUrl(url, rules);
+        const openTab = openUrls.get(key);
+        if (openTab && !allowDuplicates) {
+          skipped.push({ url, tab: openTab });
+          return;
+        }
+        // The same URL twice in the list is opened once either way
+        if (toOpen.some(t => normalizeUrl(t.url, rules) === key)) return;
+        toOpen.push({ url, pinned, ...(groupName && { group: 0 }) });
+      });
+
+      const skippedList = skipped.map(({ url, tab }) => `- ${url} (already open: tab ${tab.id})`).join('\n');
+      const skippedInfo = skipped.map(({ url, tab }) => ({ url, tabId: tab.id }));
+      if (toOpen.length === 0) {
+        return {
+          content: [{ type: 'text', text: `All URLs are already open:\n${skippedList}` }],
+          structuredContent: { urls: [], skipped: skippedInfo }
+        };
       }
 
-      writeCommand({
-        action: 'close_tabs',
-        tabIds: tabsToClose.map(t => t.id),
-        description: `Close ${tabsToClose.length} tabs`
+      const group = groupName && (existingGroup
+        ? { groupId: existingGroup.id, title: existingGroup.title }
+        : { title: groupName, color: color || 'grey' });
+      const windowSpec = newWindow
+        ? { newWindow: true }
+        : { newWindow: false, windowId: existingGroup?.windowId || targetWindowId };
+
+      const target = newWindow ? 'a new window' : `window ${windowSpec.windowId || '(focused)'}`;
+      const groupNote = group ? ` in ${existingGroup ? 'existing' : 'new'} group "${group.title}"` : '';
+      queueCommand({
+        action: 'open_tabs',
+        browser: browser.id,
+        background,
+        windows: [{ ...windowSpec, tabs: toOpen, groups: group ? [group] : [] }],
+        description: `Open ${toOpen.length} tabs in ${target}${groupNote}`
       });
 
       return {
         content: [{
           type: 'text',
-          text: `Queued ${tabsToClose.length} tabs for closing:\n${tabsToClose.map(t => `- ${t.title}`).join('\n')}\n\nClick "Execute Commands" in the browser extension to apply.`
-        }]
+          text: `${dryRun ? 'Would open' : 'Queued opening'} ${toOpen.length} tabs in ${target}${groupNote}${background ? ' (in the background)' : ''}:\n${toOpen.map(t => `- ${t.url}`).join('\n')}` +
+            `${skipped.length > 0 ? `\n\nSkipped ${skipped.length} already open:\n${skippedList}` : ''}${executeHint}`
+        }],
+        structuredContent: { urls: toOpen.map(t => t.url), skipped: skippedInfo, ...(group && { group }) }
       };
     }
 
-    case 'close_duplicate_tabs': {
-      const urlMap = {};
-      const duplicateIds = [];
+    case 'import_tabs': {
+      const { text, filePath, format = 'auto', newWindow = false, background = false, allowDuplicates = false } = args || {};
+      if (!IMPORT_FORMATS.includes(format)) {
+        return { content: [{ type: 'text', text: `format must be one of: ${IMPORT_FORMATS.join(', ')}` }] };
+      }
 
-      tabs.forEach(t => {
-        if (urlMap[t.url]) {
-          duplicateIds.push(t.id);
-        } else {
-          urlMap[t.url] = t;
+      let input = text;
+      if (!input && filePath) {
+        const file = path.resolve(filePath.replace(/^~(?=$|\/)/, os.homedir()));
+        try {
+          input = fs.readFileSync(file, 'utf8');
+        } catch (error) {
+          return { content: [{ type: 'text', text: `Could not read ${file}: ${error.message}` }] };
+        }
+      }
+      if (!input) {
+        return { content: [{ type: 'text', text: 'Please provide the links as text, or a filePath to read them from.' }] };
+      }
+
+      const parsed = parseTabList(input, format, GROUP_COLORS);
+      if (parsed.links.length === 0) {
+        return { content: [{ type: 'text', text: `No links found (read as ${parsed.format}).` }] };
+      }
+
+      const browser = browsers[0];
+      const rules = loadDuplicateRules();
+      const openUrls = allowDuplicates ? new Map() : indexOpenUrls(tabs.filter(t => t.browser === browser.id), rules);
+      const importedUrls = new Set();
+      const toOpen = [];
+      let alreadyOpen = 0;
+      parsed.links.forEach(link => {
+        const key = normalizeUrl(link.url, rules);
+        if (openUrls.has(key)) {
+          alreadyOpen++;
+        } else if (!importedUrls.has(key)) {
+          importedUrls.add(key);
+          toOpen.push(link);
         }
       });
 
-      if (duplicateIds.length === 0) {
-        return { content: [{ type: 'text', text: 'No duplicate tabs found!' }] };
+      if (toOpen.length === 0) {
+        return { content: [{ type: 'text', text: `All ${parsed.links.length} links are already open.` }] };
       }
 
-      writeCommand({
-        action: 'close_tabs',
-        tabIds: duplicateIds,
-        description: `Close ${duplicateIds.length} duplicate tabs`
+      const limit = args?.maxTabs || DEFAULT_IMPORT_LIMIT;
+      const opening = toOpen.slice(0, limit);
+
+      // Only groups that still have tabs to open are created; unnamed ones get a color each
+      const usedGroups = [...new Set(opening.filter(l => l.group !== undefined).map(l => l.group))];
+      const windowGroups = usedGroups.map((index, i) => ({
+        title: parsed.groups[index].title,
+        color: parsed.groups[index].color || GROUP_COLORS[(i + 1) % GROUP_COLORS.length]
+      }));
+
+      queueCommand({
+        action: 'open_tabs',
+        browser: browser.id,
+        background,
+        windows: [{
+          newWindow,
+          ...(!newWindow && { windowId: browser.focusedWindowId }),
+          tabs: opening.map(l => ({ url: l.url, ...(l.group !== undefined && { group: usedGroups.indexOf(l.group) }) })),
+          groups: windowGroups
+        }],
+        description: `Import ${opening.length} tabs${windowGroups.length > 0 ? ` in ${windowGroups.length} groups` : ''}${newWindow ? ' into a new window' : ''}`
       });
 
+      const sections = [...windowGroups.map((g, i) => ({ title: `${g.title} (${g.color})`, links: opening.filter(l => usedGroups.indexOf(l.group) === i) })),
+        { title: 'Ungrouped', links: opening.filter(l => l.group === undefined) }]
+        .filter(section => section.links.length > 0)
+        .map(section => `${section.title}:\n${section.links.map(l => `- ${l.title}`).join('\n')}`)
+        .join('\n\n');
+
+      const notes = [
+        ...(alreadyOpen > 0 ? [`${alreadyOpen} already open, skipped.`] : []),
+        ...(toOpen.length > limit ? [`${toOpen.length - limit} more not opened (maxTabs is ${limit}).`] : [])
+      ];
       return {
         content: [{
           type: 'text',
-          text: `Queued ${duplicateIds.length} duplicate tabs for closing.\n\nClick "Execute Commands" in the browser extension to apply.`
-        }]
+          text: `Read ${parsed.links.length} links as ${parsed.format}. ${dryRun ? 'Would open' : 'Queued opening'} ${opening.length} tabs${newWindow ? ' in a new window' : ''}:\n\n${sections}` +
+            `${notes.length > 0 ? `\n\n${notes.join('\n')}` : ''}${executeHint}`
+        }],
+        structuredContent: {
+          format: parsed.format,
+          linkCount: parsed.links.length,
+          opening: opening.map(l => ({ url: l.url, title: l.title, ...(l.group !== undefined && { group: parsed.groups[l.group].title }) })),
+          groups: windowGroups,
+          alreadyOpenCount: alreadyOpen,
+          notOpenedCount: Math.max(0, toOpen.length - limit)
+        }
       };
     }
 
-    case 'create_tab_group': {
-      const { name, domain, color } = args || {};
+    case 'auto_organize_tabs': {
+      const { closeDuplicates = false, includeCustomGroups = false, apply = false } = args || {};
 
-      if (!name || !domain) {
-        return { content: [{ type: 'text', text: 'Please provide both name and domain for the tab group.' }] };
+      // Find duplicates if requested
+      const duplicateTabs = closeDuplicates
+        ? findDuplicatesPerBrowser(tabs, browsers, { keepPolicy: args?.keepPolicy }).flatMap(d => d.duplicates)
+        : [];
+      const duplicateIds = duplicateTabs.map(t => t.id);
+
+      // Filter out duplicates first, and skip pinned tabs and extension pages
+      const tabsToProcess = tabs.filter(tab =>
+        !duplicateTabs.includes(tab) &&
+        !tab.pinned && !tab.url.startsWith('chrome://') && !tab.url.startsWith('chrome-extension://')
+      );
+
+      const { steps, customGroups } = planOrganization(tabsToProcess, groups, { includeCustomGroups });
+      const changes = steps.filter(s => s.tabs.length > 0);
+
+      if (steps.length === 0 && customGroups.size === 0) {
+        return {
+          content: [{
+            type: 'text',
+            text: 'No tabs to organize (all tabs are pinned or extension pages).'
+          }]
+        };
       }
 
-      const matchingTabs = tabs.filter(t => t.domain.includes(domain.toLowerCase()));
+      // Headline: "3 tabs move into GitHub, 1 new group Metrics"
+      const moved = new Map();
+      changes.filter(s => s.group).forEach(s => moved.set(s.group.title, (moved.get(s.group.title) || 0) + s.tabs.length));
+      const newGroupCount = changes.filter(s => !s.group).length;
+      const newGroups = [...new Set(changes.filter(s => !s.group).map(s => s.category))];
+      const headline = [
+        ...(duplicateIds.length > 0 ? [`${duplicateIds.length} duplicates close`] : []),
+        ...[...moved].map(([title, count]) => `${count} ${count === 1 ? 'tab moves' : 'tabs move'} into ${title}`),
+        ...(newGroupCount > 0 ? [`${newGroupCount} new ${newGroupCount === 1 ? 'group' : 'groups'} ${newGroups.join(', ')}`] : [])
+      ];
 
-      if (matchingTabs.length === 0) {
-        return { content: [{ type: 'text', text: `No tabs found matching domain "${domain}"` }] };
+      const structuredPlan = {
+        steps: steps.map(s => ({
+          browser: s.windowTab.browser,
+          windowId: s.windowTab.windowId,
+          category: s.category,
+          color: s.group ? s.group.color : s.color,
+          ...(s.group && { groupId: s.group.id }),
+          tabIds: s.tabs.map(t => t.id),
+          keptCount: s.kept
+        })),
+        customGroups: [...customGroups.keys()].map(groupInfo),
+        duplicates: duplicateTabs.map(tabInfo)
+      };
+
+      if (headline.length === 0) {
+        const leftAlone = customGroups.size > 0 ? ` (${customGroups.size} user-made groups left alone)` : '';
+        return {
+          content: [{
+            type: 'text',
+            text: `Nothing to change: every tab is already in its category group${leftAlone}.`
+          }],
+          structuredContent: { applied: false, ...structuredPlan }
+        };
       }
 
-      writeCommand({
-        action: 'create_group',
-        tabIds: matchingTabs.map(t => t.id),
-        groupName: name,
-        color: color || 'blue',
-        description: `Group ${matchingTabs.length} tabs as "${name}"`
+      // Details per window, in the order windows were listed
+      const details = [];
+      groupByWindow(steps.map(s => s.windowTab)).forEach(([windowTab]) => {
+        const windowSteps = steps.filter(s => s.windowTab === windowTab);
+        const lines = windowSteps.map(s => {
+          if (s.tabs.length === 0) return `  - ${s.group.title}: ${formatTabCount(s.kept)} already in place`;
+          const sources = describeTabSources(s.tabs, groups);
+          if (!s.group) return `  - New group ${s.category} (${s.color}) with ${formatTabCount(s.tabs.length)} (${sources})`;
+          return `  - Move ${formatTabCount(s.tabs.length)} into ${s.group.title} (${sources})${s.kept > 0 ? `, ${s.kept} already there` : ''}`;
+        });
+        details.push(`${formatWindowLabel(windowTab, browsers)}:\n${lines.join('\n')}`);
       });
+      const customNote = customGroups.size > 0
+        ? `\n\nLeft alone (user-made groups): ${[...customGroups].map(([g, groupTabs]) => `"${g.title || 'Untitled group'}" (${formatTabCount(groupTabs.length)})`).join(', ')}. Set includeCustomGroups to regroup their tabs too.`
+        : '';
+      const plan = `${headline.join(', ')}.\n\n${details.join('\n\n')}${customNote}`;
+
+      // A dry run shows the commands applying would queue
+      if (!apply && !dryRun) {
+        return {
+          content: [{
+            type: 'text',
+            text: `Organization plan (nothing queued yet): ${plan}\n\nCall auto_organize_tabs again with apply: true to queue these changes.`
+          }],
+          structuredContent: { applied: false, ...structuredPlan }
+        };
+      }
+
+      // Queue close duplicates command first if requested
+      if (duplicateIds.length > 0) {
+        queueCommand({
+          action: 'close_tabs',
+          tabIds: duplicateIds,
+          description: `Close ${duplicateIds.length} duplicate tabs`
+        }, duplicateTabs);
+      }
+
+      // Misplaced tabs join the existing same-named group; new groups are made in the tabs' window
+      changes.forEach(s => queueCommand(s.group
+        ? {
+            action: 'create_group',
+            groupId: s.group.id,
+            groupName: s.group.title,
+            tabIds: s.tabs.map(t => t.id),
+            description: `Move ${s.tabs.length} tabs into group "${s.group.title}"`
+          }
+        : {
+            action: 'create_group',
+            tabIds: s.tabs.map(t => t.id),
+            groupName: s.category,
+            color: s.color,
+            windowId: s.windowTab.windowId,
+            description: `Group ${s.tabs.length} tabs as "${s.category}"`
+          }, s.tabs));
 
       return {
         content: [{
           type: 'text',
-          text: `Queued ${matchingTabs.length} tabs to be grouped as "${name}":\n${matchingTabs.map(t => `- ${t.title}`).join('\n')}\n\nClick "Execute Commands" in the browser extension to apply.`
-        }]
+          text: `${dryRun ? 'Would queue' : 'Queued'} auto-organization: ${plan}${executeHint}`
+        }],
+        structuredContent: { applied: !dryRun, ...structuredPlan }
       };
     }
 
-    case 'focus_tab': {
-      const { tabId, search } = args || {};
+    case 'move_tabs_to_window': {
+      const { tabIds, domain, urlPattern, groupName, windowId, newWindow = false } = args || {};
 
-      let targetTab = null;
-      if (tabId) {
-        targetTab = tabs.find(t => t.id === tabId);
-      } else if (search) {
-        const s = search.toLowerCase();
-        targetTab = tabs.find(t =>
-          t.title.toLowerCase().includes(s) ||
-          t.url.toLowerCase().includes(s)
-        );
+      if (!newWindow && !windowId) {
+        return { content: [{ type: 'text', text: 'Please provide a windowId, or set newWindow to move tabs into a new window.' }] };
+      }
+      const targetWindowTabs = windowId ? tabs.filter(t => t.windowId === windowId) : [];
+      if (windowId && targetWindowTabs.length === 0) {
+        return { content: [{ type: 'text', text: `Window ${windowId} not found.` }] };
+      }
+      const windowConflict = describeBrowserConflict(targetWindowTabs, browsers, `Window ${windowId}`);
+      if (windowConflict) {
+        return { content: [{ type: 'text', text: windowConflict }] };
       }
 
-      if (!targetTab) {
-        return { content: [{ type: 'text', text: 'Tab not found.' }] };
+      // Tabs can't move between browsers, so an existing window only takes tabs from its own browser
+      const candidateTabs = windowId ? tabs.filter(t => t.browser === targetWindowTabs[0].browser) : tabs;
+      const candidateGroups = windowId ? groups.filter(g => g.browser === targetWindowTabs[0].browser) : groups;
+
+      // Whole groups move as a unit; other selectors pick individual tabs
+      const movedGroups = groupName
+        ? candidateGroups.filter(g => g.title.toLowerCase() === groupName.toLowerCase() && g.windowId !== windowId)
+        : [];
+
+      let tabsToMove = [];
+      if (tabIds && tabIds.length > 0) {
+        tabsToMove = candidateTabs.filter(t => tabIds.includes(t.id));
+        const conflict = describeTabIdConflicts(tabsToMove, browsers, tabIds);
+        if (conflict) {
+          return { content: [{ type: 'text', text: conflict }] };
+        }
+      } else if (domain) {
+        tabsToMove = candidateTabs.filter(t => t.domain.includes(domain.toLowerCase()));
+      } else if (urlPattern) {
+        tabsToMove = candidateTabs.filter(t => t.url.toLowerCase().includes(urlPattern.toLowerCase()));
       }
+      tabsToMove = tabsToMove.filter(t => t.windowId !== windowId);
 
-      writeCommand({
-        action: 'focus_tab',
-        tabId: targetTab.id,
-        windowId: targetTab.windowId,
-        description: `Focus: ${targetTab.title}`
-      });
+      const groupTabs = candidateTabs.filter(t => movedGroups.includes(findGroup(candidateGroups, t)));
+      const total = tabsToMove.length + groupTabs.length;
+      if (total === 0) {
+        return { content: [{ type: 'text', text: 'No matching tabs or groups found to move.' }] };
+      }
+
+      const target = newWindow ? 'a new window' : `window ${windowId}`;
+      queueCommand({
+        action: 'move_to_window',
+        tabIds: tabsToMove.map(t => t.id),
+        groupIds: movedGroups.map(g => g.id),
+        ...(newWindow ? { newWindow: true } : { windowId }),
+        description: `Move ${total} tabs to ${target}`
+      }, [...tabsToMove, ...groupTabs]);
+
+      const movedList = [
+        ...movedGroups.map(g => `- Group "${g.title}"`),
+        ...tabsToMove.map(t => `- ${t.title}`)
+      ].join('\n');
 
       return {
         content: [{
           type: 'text',
-          text: `Queued focus on: ${targetTab.title}\n\nClick "Execute Commands" in the browser extension to apply.`
-        }]
+          text: `${dryRun ? 'Would move' : 'Queued moving'} ${total} tabs to ${target}:\n${movedList}${executeHint}`
+        }],
+        structuredContent: {
+          target: newWindow ? { newWindow: true } : { newWindow: false, windowId },
+          groups: movedGroups.map(groupInfo),
+          tabs: tabsToMove.map(tabInfo)
+        }
       };
     }
 
-    case 'auto_organize_tabs': {
-      const closeDuplicates = args?.closeDuplicates || false;
-
-      // Define categories with patterns (order matters - first match wins)
-      const categoryDefinitions = [
-        {
-          name: 'GitHub',
-          color: 'green',
-          patterns: ['github.com', 'gitlab.com', 'bitbucket.org']
-        },
-        {
-          name: 'Jira',
-          color: 'blue',
-          patterns: ['atlassian.net/browse', 'atlassian.net/jira', 'atlassian.com']
-        },
-        {
-          name: 'Confluence',
-          color: 'blue',
-          patterns: ['atlassian.net/wiki']
-        },
-        {
-          name: 'Docs',
-          color: 'purple',
-          patterns: ['docs.', '/docs/', 'documentation', 'readme', 'knip.dev', 'nx.dev', 'npmjs.com', 'developer.', 'devdocs.io', 'mdn.', 'w3schools']
-        },
-        {
-          name: 'Local Dev',
-          color: 'yellow',
-          patterns: ['localhost', '127.0.0.1', '0.0.0.0']
-        },
-        {
-          name: 'AI Tools',
-          color: 'pink',
-          patterns: ['claude.ai', 'chat.openai.com', 'chatgpt.com', 'anthropic.com', 'huggingface.co', 'code.claude']
-        },
-        {
-          name: 'Articles',
-          color: 'cyan',
-          patterns: ['medium.com', 'dev.to', 'reddit.com', 'hackernews', 'news.ycombinator', 'blog', 'substack.com', 'hashnode.', 'freecodecamp']
-        },
-        {
-          name: 'Metrics',
-          color: 'red',
-          patterns: ['datadog', 'grafana', 'prometheus', 'newrelic', 'dora', 'analytics', 'sonarcloud', 'sonarqube', 'snyk.io', 'backstage']
-        },
-        {
-          name: 'Meetings',
-          color: 'orange',
-          patterns: ['zoom.us', 'meet.google', 'teams.microsoft', 'webex', 'calendar']
-        },
-        {
-          name: 'Support',
-          color: 'grey',
-          patterns: ['service-now', 'servicenow', 'zendesk', 'freshdesk', 'support.', 'helpdesk']
-        },
-        {
-          name: 'Social',
-          color: 'pink',
-          patterns: ['twitter.com', 'x.com', 'facebook.com', 'linkedin.com', 'instagram.com', 'discord.com', 'slack.com']
-        },
-        {
-          name: 'Shopping',
-          color: 'orange',
-          patterns: ['amazon.', 'ebay.', 'etsy.com', 'apple.com/shop', 'store.', 'checkout', 'cart']
-        },
-        {
-          name: 'Entertainment',
-          color: 'red',
-          patterns: ['youtube.com', 'netflix.com', 'spotify.com', 'twitch.tv', 'hulu.com', 'disneyplus.com']
-        },
-        {
-          name: 'Search',
-          color: 'grey',
-          patterns: ['google.com/search', 'bing.com/search', 'duckduckgo.com']
+    case 'merge_windows': {
+      // Windows are merged within each browser, since tabs can't move between browsers
+      let targets;
+      if (args?.targetWindowId) {
+        const matching = tabs.filter(t => t.windowId === args.targetWindowId);
+        if (matching.length === 0) {
+          return { content: [{ type: 'text', text: `Window ${args.targetWindowId} not found.` }] };
         }
-      ];
-
-      // Find duplicates if requested
-      let duplicateIds = [];
-      if (closeDuplicates) {
-        const urlMap = {};
-        tabs.forEach(t => {
-          if (urlMap[t.url]) {
-            duplicateIds.push(t.id);
-          } else {
-            urlMap[t.url] = t;
-          }
-        });
+        const conflict = describeBrowserConflict(matching, browsers, `Window ${args.targetWindowId}`);
+        if (conflict) {
+          return { content: [{ type: 'text', text: conflict }] };
+        }
+        targets = [matching[0]];
+      } else {
+        // Default to the focused window, or the one with the most tabs
+        targets = browsers.map(b => {
+          const windows = [...groupByWindow(tabs.filter(t => t.browser === b.id)).values()];
+          const target = windows.find(w => w[0].windowId === b.focusedWindowId)
+            || windows.sort((x, y) => y.length - x.length)[0];
+          return target?.[0];
+        }).filter(Boolean);
       }
 
-      // Categorize each tab
-      const categorizedTabs = {};
-      const processedTabIds = new Set();
+      const merges = [];
+      targets.forEach(target => {
+        const browserTabs = tabs.filter(t => t.browser === target.browser);
+        const windowTotal = groupByWindow(browserTabs).size;
+        if (windowTotal < 2) return;
 
-      // Filter out duplicates first
-      const tabsToProcess = closeDuplicates
-        ? tabs.filter(t => !duplicateIds.includes(t.id))
-        : tabs;
+        const movedCount = browserTabs.filter(t => t.windowId !== target.windowId).length;
+        const label = formatWindowLabel(target, browsers);
+        queueCommand({
+          action: 'merge_windows',
+          targetWindowId: target.windowId,
+          description: `Merge ${windowTotal} windows (moving ${movedCount} tabs) into window ${target.windowId}`
+        }, [target]);
+        merges.push({
+          text: `${windowTotal} windows (moving ${movedCount} tabs) into ${label}`,
+          browser: target.browser,
+          targetWindowId: target.windowId,
+          windowCount: windowTotal,
+          tabCount: movedCount
+        });
+      });
 
-      // Assign tabs to categories
-      tabsToProcess.forEach(tab => {
-        // Skip pinned tabs and extension pages
-        if (tab.pinned || tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://')) {
-          return;
-        }
+      if (merges.length === 0) {
+        return { content: [{ type: 'text', text: 'There is only one window, nothing to merge.' }] };
+      }
 
-        let assigned = false;
-        for (const category of categoryDefinitions) {
-          const matches = category.patterns.some(pattern =>
-            tab.url.toLowerCase().includes(pattern.toLowerCase()) ||
-            tab.domain.toLowerCase().includes(pattern.toLowerCase())
-          );
+      return {
+        content: [{
+          type: 'text',
+          text: `${dryRun ? 'Would merge' : 'Queued merging'} ${merges.map(m => m.text).join(', and ')}. Tab groups are kept.${executeHint}`
+        }],
+        structuredContent: { merges: merges.map(({ text, ...merge }) => merge) }
+      };
+    }
 
-          if (matches) {
-            if (!categorizedTabs[category.name]) {
-              categorizedTabs[category.name] = { color: category.color, tabs: [] };
-            }
-            categorizedTabs[category.name].tabs.push(tab);
-            processedTabIds.add(tab.id);
-            assigned = true;
-            break;
-          }
-        }
+    case 'split_window': {
+      const { by = 'category', minTabs = 2 } = args || {};
 
-        // Assign uncategorized tabs to "Other"
-        if (!assigned) {
-          if (!categorizedTabs['Other']) {
-            categorizedTabs['Other'] = { color: 'grey', tabs: [] };
-          }
-          categorizedTabs['Other'].tabs.push(tab);
-          processedTabIds.add(tab.id);
+      // Default to the focused window of the browser that synced last
+      let windowTab;
+      if (args?.windowId) {
+        const matching = tabs.filter(t => t.windowId === args.windowId);
+        const conflict = describeBrowserConflict(matching, browsers, `Window ${args.windowId}`);
+        if (conflict) {
+          return { content: [{ type: 'text', text: conflict }] };
         }
-      });
-
-      // Create group commands for each category
-      const groupCommands = [];
-      const summary = [];
+        windowTab = matching[0];
+      } else {
+        windowTab = tabs.find(t => t.browser === browsers[0].id && t.windowId === browsers[0].focusedWindowId) || tabs[0];
+      }
+      const windowId = windowTab?.windowId ?? args?.windowId;
+      const windowTabs = windowTab ? tabs.filter(t => isInWindow(t, windowTab) && !t.pinned) : [];
 
-      for (const [categoryName, { color, tabs: categoryTabs }] of Object.entries(categorizedTabs)) {
-        if (categoryTabs.length > 0) {
-          groupCommands.push({
-            action: 'create_group',
-            tabIds: categoryTabs.map(t => t.id),
-            groupName: categoryName,
-            color: color,
-            description: `Group ${categoryTabs.length} tabs as "${categoryName}"`
-          });
-          summary.push(`${categoryName}: ${categoryTabs.length} tabs`);
-        }
+      if (windowTabs.length === 0) {
+        return { content: [{ type: 'text', text: `No tabs to split in window ${windowId}.` }] };
       }
 
-      // Queue close duplicates command first if requested
-      if (closeDuplicates && duplicateIds.length > 0) {
-        writeCommand({
-          action: 'close_tabs',
-          tabIds: duplicateIds,
-          description: `Close ${duplicateIds.length} duplicate tabs`
+      let buckets;
+      if (by === 'domain') {
+        buckets = {};
+        windowTabs.forEach(t => {
+          buckets[t.domain] = buckets[t.domain] || [];
+          buckets[t.domain].push(t);
         });
+      } else {
+        const { categories, uncategorized } = categorizeTabs(windowTabs);
+        buckets = Object.fromEntries(Object.entries(categories).map(([name, c]) => [name, c.tabs]));
+        if (uncategorized.length > 0) buckets['Other'] = uncategorized;
       }
 
-      // Queue all group commands
-      groupCommands.forEach(cmd => writeCommand(cmd));
+      // The largest bucket and buckets smaller than minTabs stay in the original window
+      const sorted = Object.entries(buckets).sort((a, b) => b[1].length - a[1].length);
+      const moving = sorted.slice(1).filter(([, bucketTabs]) => bucketTabs.length >= minTabs);
 
-      if (groupCommands.length === 0) {
-        return {
-          content: [{
-            type: 'text',
-            text: 'No tabs to organize (all tabs are pinned or extension pages).'
-          }]
-        };
+      if (moving.length === 0) {
+        return { content: [{ type: 'text', text: `Nothing to split: window ${windowId} has no second ${by} with at least ${minTabs} tabs.` }] };
       }
 
+      queueCommand({
+        action: 'split_window',
+        windowId,
+        windows: moving.map(([name, bucketTabs]) => ({ name, tabIds: bucketTabs.map(t => t.id) })),
+        description: `Split window ${windowId} by ${by} into ${moving.length} new windows`
+      }, windowTabs);
+
       return {
         content: [{
           type: 'text',
-          text: `Queued auto-organization:\n${closeDuplicates && duplicateIds.length > 0 ? `- Close ${duplicateIds.length} duplicates\n` : ''}- Create ${groupCommands.length} tab groups:\n  ${summary.join('\n  ')}\n\nClick "Execute Commands" in the browser extension to apply.`
-        }]
+          text: `${dryRun ? 'Would split' : 'Queued splitting'} window ${windowId} by ${by}:\n- Stays: ${sorted[0][0]} (${sorted[0][1].length} tabs)\n${moving.map(([name, bucketTabs]) => `- New window: ${name} (${bucketTabs.length} tabs)`).join('\n')}${executeHint}`
+        }],
+        structuredContent: {
+          by,
+          windowId,
+          stays: { name: sorted[0][0], tabCount: sorted[0][1].length },
+          newWindows: moving.map(([name, bucketTabs]) => ({ name, tabIds: bucketTabs.map(t => t.id) }))
+        }
       };
     }
 
@@ -804,21 +3913,25 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
       // Get unique group names for the summary
       const groupNames = [...new Set(groupedTabs.map(t => {
-        const group = groups.find(g => g.id === t.groupId);
+        const group = findGroup(groups, t);
         return group ? group.title || 'Unnamed' : 'Unknown';
       }))];
 
-      writeCommand({
+      queueCommand({
         action: 'ungroup_tabs',
         tabIds: groupedTabs.map(t => t.id),
         description: `Ungroup ${groupedTabs.length} tabs from ${groupNames.length} groups`
-      });
+      }, groupedTabs);
 
       return {
         content: [{
           type: 'text',
-          text: `Queued ${groupedTabs.length} tabs to be ungrouped from ${groupNames.length} groups:\n- ${groupNames.join('\n- ')}\n\nEmpty groups will be automatically removed.\n\nClick "Execute Commands" in the browser extension to apply.`
-        }]
+          text: `${dryRun ? 'Would ungroup' : 'Queued ungrouping'} ${groupedTabs.length} tabs from ${groupNames.length} groups:\n- ${groupNames.join('\n- ')}\n\nEmpty groups will be automatically removed.${executeHint}`
+        }],
+        structuredContent: {
+          groups: [...new Set(groupedTabs.map(t => findGroup(groups, t)).filter(Boolean))].map(groupInfo),
+          tabs: groupedTabs.map(tabInfo)
+        }
       };
     }
 
@@ -835,24 +3948,36 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
-      // Fisher-Yates shuffle
-      const shuffled = [...shufflableTabs];
-      for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-      }
+      // Fisher-Yates shuffle within each window, reusing the positions the tabs had.
+      // Moves are queued per browser, as the same tab id may exist in another browser.
+      let movedCount = 0;
+      browsers.forEach(b => {
+        const browserTabs = shufflableTabs.filter(t => t.browser === b.id);
+        const moves = [];
+        groupByWindow(browserTabs).forEach(windowTabs => {
+          const shuffled = [...windowTabs];
+          for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+          }
+          shuffled.forEach((tab, i) => moves.push({ tabId: tab.id, windowId: tab.windowId, index: windowTabs[i].index }));
+        });
+        if (moves.length === 0) return;
 
-      writeCommand({
-        action: 'shuffle_tabs',
-        moves: shuffled.map((tab, newIndex) => ({ tabId: tab.id, windowId: tab.windowId, index: newIndex })),
-        description: `Shuffle ${shuffled.length} tabs randomly`
+        queueCommand({
+          action: 'shuffle_tabs',
+          moves,
+          description: `Shuffle ${moves.length} tabs randomly`
+        }, browserTabs);
+        movedCount += moves.length;
       });
 
       return {
         content: [{
           type: 'text',
-          text: `Queued ${shuffled.length} tabs to be shuffled randomly.\n\nClick "Execute Commands" in the browser extension to apply.`
-        }]
+          text: `${dryRun ? 'Would shuffle' : 'Queued shuffling'} ${movedCount} tabs randomly.${executeHint}`
+        }],
+        structuredContent: { tabCount: movedCount }
       };
     }
 
@@ -861,12 +3986,317 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         content: [{ type: 'text', text: `Unknown tool: ${name}` }]
       };
   }
+}
+
+server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  const { name, arguments: args } = request.params;
+
+  const dryRun = !!args?.dryRun;
+  const queuedCommands = [];
+  const result = await handleToolCall(name, args, {
+    dryRun,
+    // commandTabs are the tabs the command touches, used to route it to their browser.
+    // In a dry run the routed commands are returned as they would be written, without ids.
+    queueCommand: (command, commandTabs = []) => {
+      const queued = routeCommand(command, commandTabs, args?.browser).map(routed => {
+        // Snapshots without a browser identity come from extensions that take every command
+        const { browser, ...rest } = routed;
+        const written = browser && browser !== DEFAULT_BROWSER_ID ? routed : rest;
+        return dryRun ? written : writeCommand(written);
+      });
+      queuedCommands.push(...queued);
+      return queued;
+    }
+  });
+
+  // Results without data of their own (errors, "nothing found") carry their text
+  const withMessage = content => result.structuredContent || {
+    message: content.filter(c => c.type === 'text').map(c => c.text).join('\n\n')
+  };
+
+  if (queuedCommands.length === 0) {
+    return { ...result, structuredContent: withMessage(result.content) };
+  }
+
+  if (dryRun) {
+    const planned = queuedCommands.map(c => `- ${c.description || c.action}`).join('\n');
+    const content = [
+      { type: 'text', text: `Dry run, nothing was queued. Would queue ${queuedCommands.length} command(s):\n${planned}` },
+      ...result.content
+    ];
+    return { ...result, content, structuredContent: { ...withMessage(content), commands: queuedCommands, dryRun: true } };
+  }
+
+  const structuredContent = withMessage(result.content);
+
+  const queuedIds = queuedCommands.map(c => c.id);
+  const content = [...result.content, {
+    type: 'text',
+    text: `Command id${queuedIds.length > 1 ? 's' : ''}: ${queuedIds.join(', ')} (check with get_command_status)`
+  }];
+
+  if (args?.waitForExecution) {
+    const timeout = Math.min(args.timeout || DEFAULT_WAIT_TIMEOUT, MAX_WAIT_TIMEOUT);
+    const statuses = await waitForCommands(queuedIds, timeout);
+    const stillPending = statuses.filter(s => s.status === 'pending').length;
+    content.push({
+      type: 'text',
+      text: `Execution results:\n${statuses.map(formatCommandStatus).join('\n')}${stillPending > 0 ? `\n\n${stillPending} command(s) still pending after ${timeout}s.` : ''}`
+    });
+    return { ...result, content, structuredContent: { ...structuredContent, commands: queuedCommands, execution: statuses } };
+  }
+
+  return { ...result, content, structuredContent: { ...structuredContent, commands: queuedCommands } };
+});
+
+// Resources: the synced tabs as JSON, to read without a tool call and to subscribe to.
+// Ids may be reused by another browser, so URIs name the browser once several are synced.
+const RESOURCE_MIME_TYPE = 'application/json';
+
+const RESOURCE_TEMPLATES = [
+  { uriTemplate: 'tabs://window/{windowId}{?browser}', name: 'Window', description: 'A window with its tab groups and tabs' },
+  { uriTemplate: 'tabs://group/{groupId}{?browser}', name: 'Tab group', description: 'A tab group with its tabs' },
+  { uriTemplate: 'tabs://tab/{tabId}{?browser}', name: 'Tab', description: 'A single tab' }
+].map(template => ({ ...template, mimeType: RESOURCE_MIME_TYPE }));
+
+function resourceUri(kind, id, browser, browsers) {
+  return `tabs://${kind}/${id}${browsers.length > 1 ? `?browser=${encodeURIComponent(browser)}` : ''}`;
+}
+
+// loadTabs puts the most recently synced browser first; resources keep one order, so that a
+// sync that changed nothing doesn't read as a change
+function loadResourceData(browser) {
+  const data = loadTabs(browser);
+  if (!data) {
+    return null;
+  }
+  const byBrowser = (a, b) => a.browser.localeCompare(b.browser);
+  return {
+    ...data,
+    browsers: [...data.browsers].sort((a, b) => a.id.localeCompare(b.id)),
+    groups: [...data.groups].sort(byBrowser),
+    tabs: [...data.tabs].sort(byBrowser)
+  };
+}
+
+function listTabsResources() {
+  const snapshot = {
+    uri: 'tabs://snapshot',
+    name: 'Tab snapshot',
+    description: 'All synced browsers, windows, tab groups and tabs',
+    mimeType: RESOURCE_MIME_TYPE
+  };
+  const data = loadResourceData();
+  if (!data) {
+    return [snapshot];
+  }
+
+  return [
+    snapshot,
+    ...[...groupByWindow(data.tabs).values()].map(windowTabs => ({
+      uri: resourceUri('window', windowTabs[0].windowId, windowTabs[0].browser, data.browsers),
+      name: formatWindowLabel(windowTabs[0], data.browsers),
+      description: formatTabCount(windowTabs.length),
+      mimeType: RESOURCE_MIME_TYPE
+    })),
+    ...data.groups.map(g => ({
+      uri: resourceUri('group', g.id, g.browser, data.browsers),
+      name: `Group "${g.title || 'Untitled group'}"`,
+      description: `${formatTabCount(toGroupInfo(g, data.tabs).tabCount)}, ${g.color}`,
+      mimeType: RESOURCE_MIME_TYPE
+    }))
+  ];
+}
+
+function toWindowResource(windowTabs, data) {
+  const windowTab = windowTabs[0];
+  const browser = data.browsers.find(b => b.id === windowTab.browser);
+  return {
+    browser: windowTab.browser,
+    windowId: windowTab.windowId,
+    focused: windowTab.windowId === browser?.focusedWindowId,
+    tabCount: windowTabs.length,
+    groups: data.groups.filter(g => isInWindow(g, windowTab)).map(g => toGroupInfo(g, data.tabs)),
+    tabs: windowTabs.map(t => toTabInfo(t, data.groups))
+  };
+}
+
+// The contents of a tabs:// resource; unknown or ambiguous URIs throw
+function readTabsResource(uri) {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch {
+    url = null;
+  }
+  if (!url || url.protocol !== 'tabs:') {
+    throw new McpError(RESOURCE_NOT_FOUND, `Unknown resource: ${uri}`);
+  }
+
+  const data = loadResourceData(url.searchParams.get('browser') || undefined);
+  if (!data) {
+    throw new McpError(RESOURCE_NOT_FOUND, 'No tab data found. Please click the "Sync Tabs to Claude" button in the browser extension first.');
+  }
+
+  const kind = url.host;
+  if (kind === 'snapshot') {
+    return {
+      syncedAt: data.timestamp,
+      tabCount: data.tabCount,
+      windowCount: data.windowCount,
+      browsers: data.browsers.map(b => ({
+        id: b.id,
+        name: b.name,
+        syncedAt: b.timestamp,
+        tabCount: b.tabCount,
+        windowCount: b.windowCount,
+        focusedWindowId: b.focusedWindowId
+      })),
+      windows: [...groupByWindow(data.tabs).values()].map(windowTabs => toWindowResource(windowTabs, data))
+    };
+  }
+
+  const id = Number(url.pathname.slice(1));
+  const matching = {
+    window: () => data.tabs.filter(t => t.windowId === id),
+    group: () => data.groups.filter(g => g.id === id),
+    tab: () => data.tabs.filter(t => t.id === id)
+  }[kind]?.() || [];
+  if (matching.length === 0) {
+    throw new McpError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`);
+  }
+  const browserIds = [...new Set(matching.map(item => item.browser))];
+  if (browserIds.length > 1) {
+    const names = formatBrowserList(data.browsers.filter(b => browserIds.includes(b.id)));
+    throw new McpError(RESOURCE_NOT_FOUND, `${uri} exists in several browsers: ${names}. Add ?browser=<id> to the URI.`);
+  }
+
+  switch (kind) {
+    case 'window':
+      return toWindowResource([...groupByWindow(matching).values()][0], data);
+    case 'group':
+      return {
+        ...toGroupInfo(matching[0], data.tabs),
+        tabs: data.tabs.filter(t => findGroup(data.groups, t) === matching[0]).map(t => toTabInfo(t, data.groups))
+      };
+    default:
+      return toTabInfo(matching[0], data.groups);
+  }
+}
+
+server.setRequestHandler(ListResourcesRequestSchema, async () => {
+  return { resources: listTabsResources() };
+});
+
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+  return { resourceTemplates: RESOURCE_TEMPLATES };
+});
+
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+  const { uri } = request.params;
+  return {
+    contents: [{ uri, mimeType: RESOURCE_MIME_TYPE, text: JSON.stringify(readTabsResource(uri), null, 2) }]
+  };
+});
+
+// Subscribed URIs, with their contents as last reported, so only real changes are notified.
+// Sync times are left out: every sync rewrites them.
+const subscriptions = new Map();
+
+function resourceVersion(uri) {
+  try {
+    return JSON.stringify(readTabsResource(uri), (key, value) => key === 'syncedAt' ? undefined : value);
+  } catch {
+    // The window, group or tab is gone
+    return null;
+  }
+}
+
+function resourceListVersion() {
+  return listTabsResources().map(r => r.uri).join('\n');
+}
+
+server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+  subscriptions.set(request.params.uri, resourceVersion(request.params.uri));
+  return {};
+});
+
+server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+  subscriptions.delete(request.params.uri);
+  return {};
+});
+
+// The native host rewrites tabs-data.<browser id>.json on every sync
+function watchTabsData() {
+  let listVersion = resourceListVersion();
+  let timer = null;
+
+  const notifyChanges = () => {
+    subscriptions.forEach((version, uri) => {
+      const current = resourceVersion(uri);
+      if (current === version) return;
+      subscriptions.set(uri, current);
+      server.sendResourceUpdated({ uri }).catch(error => console.error('Could not send resource update:', error));
+    });
+
+    const currentList = resourceListVersion();
+    if (currentList !== listVersion) {
+      listVersion = currentList;
+      server.sendResourceListChanged().catch(error => console.error('Could not send resource list change:', error));
+    }
+  };
+
+  const watcher = fs.watch(DATA_DIR, (event, file) => {
+    if (file && !TABS_FILE_PATTERN.test(file)) return;
+    clearTimeout(timer);
+    timer = setTimeout(notifyChanges, RESOURCE_UPDATE_DELAY);
+  });
+  // Watching must not keep the server running once the client has gone
+  watcher.unref();
+}
+
+// The snapshot summary prompts start from (see buildPrompt), or null when nothing is synced
+function summarizeForPrompt(browser) {
+  const data = loadTabs(browser);
+  if (!data) {
+    return null;
+  }
+
+  const { tabs, groups, browsers } = data;
+  return {
+    dataAge: formatAge(data.timestamp),
+    tabCount: data.tabCount,
+    windowCount: data.windowCount,
+    domainCount: new Set(tabs.map(t => t.domain)).size,
+    groupCount: groups.length,
+    groupedCount: tabs.filter(t => t.groupId && t.groupId !== -1).length,
+    pinnedCount: tabs.filter(t => t.pinned).length,
+    audibleCount: tabs.filter(t => t.audible).length,
+    duplicateCount: findDuplicatesPerBrowser(tabs, browsers).reduce((sum, c) => sum + c.duplicates.length, 0),
+    browsers: browsers.map(b => ({ id: b.id, name: b.name, tabCount: b.tabCount })),
+    groups: groups.map(g => toGroupInfo(g, tabs)),
+    tabs: tabs.map(t => toTabInfo(t, groups))
+  };
+}
+
+server.setRequestHandler(ListPromptsRequestSchema, async () => {
+  return { prompts: PROMPTS };
+});
+
+server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+  const { name, arguments: args = {} } = request.params;
+  const error = getPromptArgumentsError(name, args);
+  if (error) {
+    throw new McpError(ErrorCode.InvalidParams, error);
+  }
+  return buildPrompt(name, args, summarizeForPrompt(args.browser));
 });
 
 // Start server
 async function main() {
   const transport = new StdioServerTransport();
   await server.connect(transport);
+  watchTabsData();
 }
 
 main().catch(console.error);
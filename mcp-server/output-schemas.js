@@ -0,0 +1,259 @@
+// Output schemas: the structuredContent each tool returns next to its text. Results without
+// data of their own (errors, "nothing found") carry the text as message. Action tools add the
+// commands they queued, or would queue in a dry run.
+
+const string = { type: 'string' };
+const number = { type: 'number' };
+const boolean = { type: 'boolean' };
+
+function arrayOf(items) {
+  return { type: 'array', items };
+}
+
+function object(properties, required) {
+  return { type: 'object', properties, ...(required && { required }) };
+}
+
+// Times are ISO 8601 strings
+const TAB = object({
+  id: number,
+  browser: string,
+  windowId: number,
+  index: number,
+  title: string,
+  url: string,
+  domain: string,
+  pinned: boolean,
+  active: boolean,
+  audible: boolean,
+  groupId: number,
+  group: { ...string, description: 'Title of the group the tab is in' },
+  lastAccessed: string
+}, ['id', 'url']);
+
+const GROUP = object({
+  id: number,
+  browser: string,
+  windowId: number,
+  title: string,
+  color: string,
+  collapsed: boolean,
+  tabCount: number
+}, ['id']);
+
+// Queued commands keep every field the extension reads (tabIds, windows, ...)
+const COMMAND = object({
+  id: { ...number, description: 'Command id for get_command_status; absent in a dry run' },
+  action: string,
+  browser: string,
+  description: string,
+  status: string
+}, ['action']);
+
+const COMMAND_STATUS = object({
+  id: number,
+  action: string,
+  description: string,
+  status: { type: 'string', enum: ['pending', 'completed', 'failed', 'rejected', 'unknown'] },
+  message: string,
+  completedAt: string
+}, ['id', 'status']);
+
+const DUPLICATE_CLUSTER = object({
+  normalizedUrl: string,
+  keep: TAB,
+  duplicates: arrayOf(TAB)
+}, ['keep', 'duplicates']);
+
+const CATEGORY_RULE = object({
+  id: string,
+  category: string,
+  color: string,
+  priority: number,
+  field: string,
+  type: string,
+  pattern: string
+}, ['id', 'category']);
+
+const STASH_ENTRY = object({
+  id: number,
+  title: string,
+  url: string,
+  domain: string,
+  group: object({ title: string, color: string }),
+  browser: string,
+  stashedAt: string
+}, ['id', 'url']);
+
+const SESSION = object({
+  name: string,
+  savedAt: string,
+  tabCount: number,
+  windowCount: number,
+  groupCount: number
+}, ['name']);
+
+// Page content read by the extension
+const PAGE = object({
+  tabId: number,
+  title: string,
+  url: string,
+  content: string,
+  offset: number,
+  totalLength: number
+});
+
+const ACTION_PROPERTIES = {
+  commands: arrayOf(COMMAND),
+  dryRun: { ...boolean, description: 'Set when nothing was queued: commands are what would have been' },
+  execution: { ...arrayOf(COMMAND_STATUS), description: 'Outcome of the commands, with waitForExecution' }
+};
+
+// For tools that only change local files
+const DRY_RUN = { ...boolean, description: 'Set when nothing was saved, deleted or written: the result is what would have been' };
+
+// Properties each tool returns besides message (and, for action tools, the queued commands)
+const TOOL_PROPERTIES = {
+  list_tabs: { dataFrom: string, tabs: arrayOf(TAB) },
+  export_tabs: { format: string, tabCount: number, file: string, output: string },
+  group_tabs_by_domain: { domains: arrayOf(object({ domain: string, count: number })) },
+  find_duplicate_tabs: { clusters: arrayOf(DUPLICATE_CLUSTER) },
+  find_old_tabs: { hours: number, tabs: arrayOf(TAB) },
+  get_tab_stats: {
+    dataFrom: string,
+    tabCount: number,
+    windowCount: number,
+    domainCount: number,
+    pinnedCount: number,
+    audibleCount: number,
+    groupedCount: number,
+    groupCount: number,
+    browsers: arrayOf(object({ id: string, name: string, tabCount: number, windowCount: number, syncedAt: string })),
+    windows: arrayOf(object({ browser: string, windowId: number, focused: boolean, tabCount: number, domainCount: number, groupCount: number }))
+  },
+  find_tabs_by_category: { categories: arrayOf(object({ name: string, color: string, tabs: arrayOf(TAB) })) },
+  suggest_tab_organization: { suggestions: arrayOf(string) },
+  suggest_focus_tabs: { context: string, tabs: arrayOf(TAB) },
+  save_session: { session: SESSION },
+  list_sessions: { sessions: arrayOf(SESSION) },
+  restore_session: { session: SESSION },
+  delete_session: { session: SESSION },
+  read_tab_content: { page: PAGE },
+  capture_tab_screenshot: {
+    screenshot: object({ tabId: number, title: string, url: string, width: number, height: number, mimeType: string })
+  },
+  search_tab_contents: {
+    query: string,
+    indexedCount: number,
+    matches: arrayOf(object({ browser: string, tabId: number, title: string, url: string, score: number, snippet: string, capturedAt: string }))
+  },
+  close_tabs: { tabs: arrayOf(TAB) },
+  stash_tabs: { tabs: arrayOf(TAB), entries: arrayOf(STASH_ENTRY) },
+  list_stash: { total: number, entries: arrayOf(STASH_ENTRY) },
+  restore_stash: {
+    opening: arrayOf(STASH_ENTRY),
+    alreadyOpen: arrayOf(STASH_ENTRY),
+    removedFromStash: number,
+    pendingRemoval: { ...number, description: 'Entries the native host removes once the extension has reopened them' }
+  },
+  delete_stash_entries: { deleted: arrayOf(STASH_ENTRY), remaining: number },
+  bookmark_tabs: { folder: string, tabs: arrayOf(TAB) },
+  search_bookmarks: {
+    query: string,
+    total: number,
+    results: arrayOf(object({ id: string, title: string, url: string, folder: string, path: string, isFolder: boolean, dateAdded: number }))
+  },
+  search_history: {
+    query: string,
+    results: arrayOf(object({ url: string, title: string, lastVisitTime: number, visitCount: number }))
+  },
+  list_recently_closed: {
+    results: arrayOf(object({
+      type: { type: 'string', enum: ['tab', 'window'] },
+      sessionId: string,
+      title: string,
+      url: string,
+      closedAt: number,
+      tabs: arrayOf(object({ sessionId: string, title: string, url: string }))
+    }))
+  },
+  close_duplicate_tabs: { clusters: arrayOf(DUPLICATE_CLUSTER) },
+  create_tab_group: { group: object({ title: string, color: string }), tabs: arrayOf(TAB) },
+  update_tab_group: { group: GROUP, changes: object({ title: string, color: string, collapsed: boolean }) },
+  add_tabs_to_group: { group: GROUP, tabs: arrayOf(TAB) },
+  move_tab_group: { group: GROUP, target: object({ newWindow: boolean, windowId: number, index: number }) },
+  close_tab_group: { group: GROUP, tabs: arrayOf(TAB) },
+  focus_tab: { tab: TAB },
+  open_tabs: {
+    urls: arrayOf(string),
+    skipped: arrayOf(object({ url: string, tabId: number })),
+    group: object({ title: string, color: string, groupId: number })
+  },
+  import_tabs: {
+    format: string,
+    linkCount: number,
+    opening: arrayOf(object({ url: string, title: string, group: string })),
+    groups: arrayOf(object({ title: string, color: string })),
+    alreadyOpenCount: number,
+    notOpenedCount: number
+  },
+  auto_organize_tabs: {
+    applied: { ...boolean, description: 'Whether the plan was queued (apply) or only returned' },
+    steps: arrayOf(object({
+      browser: string,
+      windowId: number,
+      category: string,
+      color: string,
+      groupId: { ...number, description: 'The existing group tabs move into; absent for a new group' },
+      tabIds: arrayOf(number),
+      keptCount: number
+    })),
+    customGroups: arrayOf(GROUP),
+    duplicates: arrayOf(TAB)
+  },
+  move_tabs_to_window: {
+    target: object({ newWindow: boolean, windowId: number }),
+    groups: arrayOf(GROUP),
+    tabs: arrayOf(TAB)
+  },
+  merge_windows: {
+    merges: arrayOf(object({ browser: string, targetWindowId: number, windowCount: number, tabCount: number }))
+  },
+  split_window: {
+    by: string,
+    windowId: number,
+    stays: object({ name: string, tabCount: number }),
+    newWindows: arrayOf(object({ name: string, tabIds: arrayOf(number) }))
+  },
+  ungroup_all_tabs: { groups: arrayOf(GROUP), tabs: arrayOf(TAB) },
+  shuffle_tabs: { tabCount: number },
+  list_category_rules: { rules: arrayOf(CATEGORY_RULE) },
+  add_category_rule: { rule: CATEGORY_RULE },
+  remove_category_rule: { removed: arrayOf(CATEGORY_RULE) },
+  test_category_rules: { category: string, color: string, rules: arrayOf(CATEGORY_RULE) },
+  get_tab_history: {
+    days: arrayOf(object({ day: string, snapshots: number, min: number, max: number, last: number, maxWindows: number }))
+  },
+  get_domain_trends: {
+    since: string,
+    domains: arrayOf(object({ domain: string, first: number, last: number, peak: number, change: number }))
+  },
+  find_tab_first_seen: {
+    matches: arrayOf(object({ url: string, title: string, firstSeen: string, lastSeen: string, snapshots: number, open: boolean }))
+  },
+  list_undoable_actions: {
+    actions: arrayOf(object({ commandId: number, action: string, description: string, executedAt: string, browser: string }))
+  },
+  get_command_status: { command: COMMAND_STATUS, pending: arrayOf(COMMAND_STATUS), recent: arrayOf(COMMAND_STATUS) }
+};
+
+// Action tools are the ones that queue commands, and so take dryRun; tools that only change
+// local files take it too, without commands
+export function buildOutputSchema(toolName, { action = false, dryRun = false } = {}) {
+  return object({
+    message: { ...string, description: 'The text result, when there is no data to return (e.g. an error)' },
+    ...TOOL_PROPERTIES[toolName],
+    ...(dryRun && { dryRun: DRY_RUN }),
+    ...(action && ACTION_PROPERTIES)
+  });
+}
@@ -0,0 +1,205 @@
+// Prompts: the multi-step tab workflows users keep asking for, as MCP prompt templates. Each
+// starts from a summary of the current tabs and names the tools to use at every step.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tabs listed in a prompt; the tools return the rest
+const LISTED_TAB_LIMIT = 25;
+
+const BROWSER_ARGUMENT = { name: 'browser', description: 'Only work on this browser (name or id)', required: false };
+
+export const PROMPTS = [
+  {
+    name: 'triage_old_tabs',
+    title: 'Triage old tabs',
+    description: 'Go through the tabs not used for a while and decide for each: keep, bookmark, stash or close',
+    arguments: [
+      { name: 'days', description: 'Triage tabs not accessed in this many days (default: 7)', required: false },
+      BROWSER_ARGUMENT
+    ]
+  },
+  {
+    name: 'coding_workspace',
+    title: 'Set up a coding workspace',
+    description: 'Gather the tabs for a project into one group, open what is missing, put distractions away and save it as a session',
+    arguments: [
+      { name: 'project', description: 'What you are working on: a repo, feature or keywords (e.g. "browser-tabs-mcp")', required: true },
+      { name: 'urls', description: 'URLs that should be open, separated by spaces or commas (e.g. the repo, the issue, the docs)', required: false },
+      BROWSER_ARGUMENT
+    ]
+  },
+  {
+    name: 'end_of_day_cleanup',
+    title: 'End-of-day cleanup',
+    description: 'Save the day as a session, close duplicates, stash or close what is done and tidy the rest',
+    arguments: [
+      { name: 'sessionName', description: 'Name for the saved session (default: "End of day <date>")', required: false },
+      BROWSER_ARGUMENT
+    ]
+  }
+];
+
+// Why the arguments can't be used, or null. Prompt arguments always arrive as strings.
+export function getPromptArgumentsError(name, args = {}) {
+  const prompt = PROMPTS.find(p => p.name === name);
+  if (!prompt) {
+    return `Unknown prompt: ${name}`;
+  }
+  const missing = prompt.arguments.filter(a => a.required && !args[a.name]?.trim());
+  if (missing.length > 0) {
+    return `Missing argument: ${missing.map(a => a.name).join(', ')}`;
+  }
+  if (args.days !== undefined && !(Number(args.days) > 0)) {
+    return `days must be a positive number, got "${args.days}"`;
+  }
+  return null;
+}
+
+function daysSince(isoTime) {
+  return Math.floor((Date.now() - new Date(isoTime).getTime()) / DAY_MS);
+}
+
+function findOldTabs(tabs, days) {
+  const cutoff = Date.now() - days * DAY_MS;
+  return tabs
+    .filter(t => t.lastAccessed && new Date(t.lastAccessed).getTime() < cutoff)
+    .sort((a, b) => a.lastAccessed.localeCompare(b.lastAccessed));
+}
+
+function formatCount(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+function formatDays(days) {
+  return formatCount(days, 'day');
+}
+
+// "- [12] Title (github.com, Chrome) - 9 days", with the browser once several are synced
+function formatTabLines(tabs, snapshot, { showAge = false } = {}) {
+  const browserName = id => snapshot.browsers.find(b => b.id === id)?.name || id;
+  const lines = tabs.slice(0, LISTED_TAB_LIMIT).map(t => {
+    const where = [t.domain, t.group && `group "${t.group}"`, snapshot.browsers.length > 1 && browserName(t.browser)];
+    const age = showAge && t.lastAccessed ? ` - ${formatDays(daysSince(t.lastAccessed))}` : '';
+    return `- [${t.id}] ${t.title || t.url} (${where.filter(Boolean).join(', ')})${age}`;
+  });
+  if (tabs.length > LISTED_TAB_LIMIT) {
+    lines.push(`- ... and ${tabs.length - LISTED_TAB_LIMIT} more`);
+  }
+  return lines.join('\n');
+}
+
+// get_tab_stats in short, plus what a cleanup would touch
+function formatSnapshotSummary(snapshot, { oldDays }) {
+  const oldCount = findOldTabs(snapshot.tabs, oldDays).length;
+  const lines = [
+    `Current tabs (synced ${snapshot.dataAge}):`,
+    `- ${formatCount(snapshot.tabCount, 'tab')} in ${formatCount(snapshot.windowCount, 'window')}, from ${formatCount(snapshot.domainCount, 'domain')}`,
+    `- ${formatCount(snapshot.groupCount, 'tab group')} holding ${formatCount(snapshot.groupedCount, 'tab')}; ${snapshot.pinnedCount} pinned, ${snapshot.audibleCount} playing audio`,
+    `- ${formatCount(snapshot.duplicateCount, 'duplicate tab')} (see find_duplicate_tabs)`,
+    `- ${formatCount(oldCount, 'tab')} not accessed in ${formatDays(oldDays)} (see find_old_tabs with hours: ${oldDays * 24})`
+  ];
+  if (snapshot.browsers.length > 1) {
+    lines.splice(2, 0, `- Browsers: ${snapshot.browsers.map(b => `${b.name} (${b.id}) ${formatCount(b.tabCount, 'tab')}`).join(', ')}`);
+  }
+  if (snapshot.groups.length > 0) {
+    lines.push(`- Groups: ${snapshot.groups.map(g => `"${g.title || 'Untitled group'}" (${g.color}, ${g.tabCount})`).join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+const NO_DATA_NOTE = 'No tabs have been synced yet: ask me to click "Sync Tabs to Claude" in the browser extension, then start with get_tab_stats.';
+
+function browserNote(browser) {
+  return browser ? `\nOnly work on ${browser}: pass browser: "${browser}" to every tool.` : '';
+}
+
+function triageOldTabs({ days: daysArgument, browser }, snapshot) {
+  const days = Number(daysArgument) || 7;
+  const hours = days * 24;
+  const oldTabs = snapshot ? findOldTabs(snapshot.tabs, days) : [];
+  const listing = !snapshot
+    ? NO_DATA_NOTE
+    : `${formatSnapshotSummary(snapshot, { oldDays: days })}
+
+${oldTabs.length > 0
+    ? `Tabs not accessed in ${formatDays(days)}, oldest first:\n${formatTabLines(oldTabs, snapshot, { showAge: true })}`
+    : `No tab has gone ${formatDays(days)} without being accessed; tell me so and stop.`}`;
+
+  return `Help me triage the tabs I haven't used in ${formatDays(days)}.${browserNote(browser)}
+
+${listing}
+
+Steps:
+1. Get the full list with find_old_tabs (hours: ${hours}). When a title doesn't say what a tab is, read it with read_tab_content.
+2. Sort every tab into one pile: keep (still needed), bookmark (reference worth keeping), stash (something to come back to soon) or close (done or no longer relevant). Show me the piles, with tab ids, and wait for my go-ahead.
+3. Then act on the piles by tab id: bookmark_tabs and then close_tabs for the bookmark pile (e.g. into a folder "Triage ${new Date().toISOString().slice(0, 10)}"), stash_tabs for the stash pile, close_tabs for the close pile. Pass dryRun: true first if you are unsure what a call would do.
+4. Tell me what was done. undo_last_action reopens closed tabs if something went wrong, and restore_stash brings stashed tabs back.`;
+}
+
+function codingWorkspace({ project, urls: urlsArgument, browser }, snapshot) {
+  const urls = (urlsArgument || '').split(/[\s,]+/).filter(Boolean);
+  const keywords = project.toLowerCase().split(/[\s,]+/).filter(word => word.length > 2);
+  const related = snapshot
+    ? snapshot.tabs.filter(t => keywords.some(word => `${t.title}\n${t.url}`.toLowerCase().includes(word)))
+    : [];
+  const listing = !snapshot
+    ? NO_DATA_NOTE
+    : `${formatSnapshotSummary(snapshot, { oldDays: 7 })}
+
+${related.length > 0
+    ? `Open tabs that mention "${project}":\n${formatTabLines(related, snapshot)}`
+    : `No open tab mentions "${project}" in its title or URL.`}`;
+  const openStep = urls.length > 0
+    ? `Open what is missing: open_tabs with urls ${JSON.stringify(urls)} and groupName "${project}" (URLs already open are skipped).`
+    : `Ask me which repo, issue, docs or dashboards should be open, then open them with open_tabs and groupName "${project}" (URLs already open are skipped).`;
+
+  return `Set up my browser for working on ${project}.${browserNote(browser)}
+
+${listing}
+
+Steps:
+1. Find every tab that belongs to the work: the ones above, suggest_focus_tabs (context: "${project}"), list_tabs with a search, and search_tab_contents if page text search is on.
+2. ${openStep}
+3. Put the related tabs into the "${project}" group with add_tabs_to_group (tabIds), or create_tab_group if there is no such group yet. Offer to give it its own window with move_tabs_to_window (groupName: "${project}", newWindow: true).
+4. Propose the distracting tabs (social, news, entertainment; find_tabs_by_category helps) for stash_tabs, and wait for my OK before stashing them.
+5. Save the workspace with save_session (name: "${project}") so restore_session brings it back later.`;
+}
+
+function endOfDayCleanup({ sessionName, browser }, snapshot) {
+  const name = sessionName || `End of day ${new Date().toISOString().slice(0, 10)}`;
+  const listing = snapshot ? formatSnapshotSummary(snapshot, { oldDays: 1 }) : NO_DATA_NOTE;
+  const duplicateStep = snapshot && snapshot.duplicateCount === 0
+    ? 'There are no duplicate tabs; skip to the next step.'
+    : 'Close duplicate tabs with close_duplicate_tabs (find_duplicate_tabs shows which copy stays).';
+
+  return `Help me wrap up my browser for the day.${browserNote(browser)}
+
+${listing}
+
+Steps:
+1. Save everything first: save_session (name: "${name}") so nothing is lost.
+2. ${duplicateStep}
+3. Go through the tabs not accessed today (find_old_tabs, hours: 24). Propose which to stash to continue tomorrow (stash_tabs), which to bookmark (bookmark_tabs, then close_tabs) and which to close (close_tabs), and wait for my OK.
+4. Tidy what stays: preview auto_organize_tabs, then run it again with apply: true if I agree; merge_windows if a browser still has several windows open.
+5. Sum up what was saved, stashed and closed. list_stash shows the stash, and undo_last_action reverts the last action.`;
+}
+
+const PROMPT_BUILDERS = {
+  triage_old_tabs: triageOldTabs,
+  coding_workspace: codingWorkspace,
+  end_of_day_cleanup: endOfDayCleanup
+};
+
+// A prompt's messages. snapshot is the summary of the synced tabs (null when nothing is synced):
+// { dataAge, tabCount, windowCount, domainCount, groupCount, groupedCount, pinnedCount,
+//   audibleCount, duplicateCount, browsers, groups, tabs }
+export function buildPrompt(name, args = {}, snapshot) {
+  const prompt = PROMPTS.find(p => p.name === name);
+  return {
+    description: prompt.description,
+    messages: [{
+      role: 'user',
+      content: { type: 'text', text: PROMPT_BUILDERS[name](args, snapshot) }
+    }]
+  };
+}
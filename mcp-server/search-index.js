@@ -0,0 +1,173 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_BROWSER_ID } from './history.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+// Page text captured by the extension, one file per tab: tab-content/<browser>/<tab id>.json
+const CONTENT_DIR = path.join(__dirname, '..', 'tab-content');
+
+// BM25 ranking parameters, and the extra weight of a term found in the title
+const K1 = 1.2;
+const B = 0.75;
+const TITLE_BOOST = 2;
+
+const SNIPPET_RADIUS = 80;
+
+// Indexed tabs by "<browser>:<tab id>": { file, mtimeMs, browser, tabId, url, title, content, length, terms }
+const documents = new Map();
+// Inverted index: term -> keys of the tabs containing it
+const postings = new Map();
+// Content file -> key of the tab it was indexed as
+const indexedFiles = new Map();
+
+function tokenize(text) {
+  return (text || '').toLowerCase().split(/[^\p{L}\p{N}_]+/u).filter(token => token.length > 1);
+}
+
+function countTerms(tokens) {
+  const counts = new Map();
+  tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+  return counts;
+}
+
+function removeDocument(key) {
+  const doc = documents.get(key);
+  if (!doc) return;
+  doc.terms.forEach((count, term) => {
+    const keys = postings.get(term);
+    keys.delete(key);
+    if (keys.size === 0) postings.delete(term);
+  });
+  documents.delete(key);
+  indexedFiles.delete(doc.file);
+}
+
+function addDocument(key, doc) {
+  const tokens = tokenize(`${doc.title}\n${doc.content}`);
+  const terms = countTerms(tokens);
+  documents.set(key, { ...doc, length: tokens.length, terms, titleTerms: new Set(tokenize(doc.title)) });
+  indexedFiles.set(doc.file, key);
+  terms.forEach((count, term) => {
+    if (!postings.has(term)) postings.set(term, new Set());
+    postings.get(term).add(key);
+  });
+}
+
+function listContentFiles() {
+  if (!fs.existsSync(CONTENT_DIR)) return [];
+  return fs.readdirSync(CONTENT_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .flatMap(entry => fs.readdirSync(path.join(CONTENT_DIR, entry.name))
+      .filter(file => file.endsWith('.json'))
+      .map(file => path.join(CONTENT_DIR, entry.name, file)));
+}
+
+// Bring the index up to date: (re)index files captured since the last update, and drop tabs
+// that are closed or have navigated away from the captured page. openTabs are the synced tabs.
+export function updateIndex(openTabs) {
+  const open = new Map(openTabs.map(t => [`${t.browser}:${t.id}`, t]));
+  const seen = new Set();
+
+  for (const file of listContentFiles()) {
+    let mtimeMs;
+    try {
+      mtimeMs = fs.statSync(file).mtimeMs;
+    } catch {
+      continue;
+    }
+
+    const indexedKey = indexedFiles.get(file);
+    if (indexedKey && documents.get(indexedKey).mtimeMs === mtimeMs) {
+      seen.add(indexedKey);
+      continue;
+    }
+
+    let entry;
+    try {
+      entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      continue;
+    }
+    // Content from extensions without a browser identity belongs to the untagged snapshot
+    const browser = entry.browser || DEFAULT_BROWSER_ID;
+    const key = `${browser}:${entry.tabId}`;
+    removeDocument(key);
+    addDocument(key, {
+      file,
+      mtimeMs,
+      browser,
+      tabId: entry.tabId,
+      url: entry.url,
+      title: entry.title,
+      content: entry.content || '',
+      capturedAt: entry.capturedAt
+    });
+    seen.add(key);
+  }
+
+  [...documents.keys()].forEach(key => {
+    const tab = open.get(key);
+    if (!seen.has(key) || !tab || tab.url !== documents.get(key).url) {
+      removeDocument(key);
+    }
+  });
+
+  return documents.size;
+}
+
+function makeSnippet(content, terms) {
+  const lower = content.toLowerCase();
+  const positions = terms.map(term => lower.indexOf(term)).filter(i => i !== -1);
+  if (positions.length === 0) {
+    return content.slice(0, SNIPPET_RADIUS * 2).replace(/\s+/g, ' ').trim();
+  }
+
+  const at = Math.min(...positions);
+  const start = Math.max(0, at - SNIPPET_RADIUS);
+  const end = Math.min(content.length, at + SNIPPET_RADIUS);
+  const text = content.slice(start, end).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '...' : ''}${text}${end < content.length ? '...' : ''}`;
+}
+
+// Tabs containing every query word, best first (BM25, with title matches counting extra).
+// Quoted phrases must appear literally, even inside longer words.
+export function searchIndex(query, { limit = 10, browsers } = {}) {
+  const phrases = [...query.matchAll(/"([^"]+)"/g)].map(m => m[1].toLowerCase());
+  const terms = [...new Set(tokenize(query.replace(/"[^"]*"/g, ' ')))];
+  if (terms.length === 0 && phrases.length === 0) return [];
+
+  const candidates = terms.length > 0
+    ? terms
+      .map(term => postings.get(term) || new Set())
+      .reduce((a, b) => new Set([...a].filter(key => b.has(key))))
+    : new Set(documents.keys());
+  const scoredTerms = [...new Set([...terms, ...tokenize(phrases.join(' '))])].filter(term => postings.has(term));
+
+  const total = documents.size;
+  const averageLength = [...documents.values()].reduce((sum, d) => sum + d.length, 0) / Math.max(total, 1);
+
+  return [...candidates]
+    .map(key => documents.get(key))
+    .filter(doc => !browsers || browsers.includes(doc.browser))
+    .filter(doc => phrases.every(phrase => doc.content.toLowerCase().includes(phrase)))
+    .map(doc => {
+      const score = scoredTerms.reduce((sum, term) => {
+        const frequency = doc.terms.get(term) || 0;
+        const idf = Math.log(1 + (total - postings.get(term).size + 0.5) / (postings.get(term).size + 0.5));
+        const weight = (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * doc.length / (averageLength || 1)));
+        return sum + idf * (weight + (doc.titleTerms.has(term) ? TITLE_BOOST : 0));
+      }, 0);
+      return {
+        browser: doc.browser,
+        tabId: doc.tabId,
+        url: doc.url,
+        title: doc.title,
+        capturedAt: doc.capturedAt,
+        score,
+        snippet: makeSnippet(doc.content, phrases.length > 0 ? phrases : terms)
+      };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
@@ -0,0 +1,62 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const STASH_FILE = path.join(__dirname, '..', 'stash.json');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stashed tabs, oldest first: { id, title, url, domain, group: { title, color }, browser, stashedAt }
+export function loadStash() {
+  if (!fs.existsSync(STASH_FILE)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(STASH_FILE, 'utf8'));
+}
+
+export function saveStash(entries) {
+  fs.writeFileSync(STASH_FILE, JSON.stringify(entries, null, 2), 'utf8');
+}
+
+// Append tabs (with the group they were in, if any) and return the new entries
+export function addToStash(tabs, groups) {
+  const entries = loadStash();
+  const stashedAt = new Date().toISOString();
+  let nextId = Math.max(0, ...entries.map(e => e.id)) + 1;
+
+  const added = tabs.map(tab => {
+    const group = groups.find(g => g.id === tab.groupId && g.browser === tab.browser);
+    return {
+      id: nextId++,
+      title: tab.title,
+      url: tab.url,
+      domain: tab.domain,
+      ...(group && { group: { title: group.title, color: group.color } }),
+      browser: tab.browser,
+      stashedAt
+    };
+  });
+
+  saveStash([...entries, ...added]);
+  return added;
+}
+
+// Entries matching every given filter: ids, domain, search (title or URL), stashed within the
+// last `days`, or stashed more than `olderThanDays` ago
+export function filterStash(entries, { ids, domain, search, days, olderThanDays } = {}) {
+  const now = Date.now();
+  return entries.filter(e => {
+    const age = now - new Date(e.stashedAt).getTime();
+    if (ids && ids.length > 0 && !ids.includes(e.id)) return false;
+    if (domain && !e.domain.includes(domain.toLowerCase())) return false;
+    if (search && !`${e.title}\n${e.url}`.toLowerCase().includes(search.toLowerCase())) return false;
+    if (days && age > days * DAY_MS) return false;
+    if (olderThanDays && age < olderThanDays * DAY_MS) return false;
+    return true;
+  });
+}
+
+export function hasStashFilter({ ids, domain, search, days, olderThanDays } = {}) {
+  return (ids && ids.length > 0) || !!domain || !!search || !!days || !!olderThanDays;
+}
@@ -0,0 +1,155 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const RULES_FILE = path.join(__dirname, '..', 'duplicate-rules.json');
+
+export const KEEP_POLICIES = ['first', 'recent', 'pinned', 'grouped', 'active_window'];
+
+// Defaults for deciding when two URLs are "the same page".
+// duplicate-rules.json can override any of these; its `domains` entries are merged in.
+export const DEFAULT_RULES = {
+  ignoreProtocol: true,
+  ignoreWww: true,
+  // Drops #anchors only: hash routes (#/inbox, #!/settings) are different pages of an app
+  ignoreFragment: true,
+  ignoreTrailingSlash: true,
+  ignoreQuery: false,
+  sortQuery: true,
+  stripTrackingParams: true,
+  trackingParams: [
+    'utm_*', 'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'mc_cid', 'mc_eid',
+    '_hsenc', '_hsmi', 'igshid', 'ref_src', 'ref_url', 'si'
+  ],
+  keepPolicy: 'first',
+  // Per-domain overrides (matched on the domain and its subdomains). Supported keys:
+  // ignoreQuery, keepParams (only these params count), stripParams, ignoreFragment, ignoreTrailingSlash
+  domains: {
+    'youtube.com': { keepParams: ['v', 'list'] },
+    'mail.google.com': { ignoreFragment: false }
+  }
+};
+
+export function loadDuplicateRules() {
+  if (!fs.existsSync(RULES_FILE)) {
+    return DEFAULT_RULES;
+  }
+  const custom = JSON.parse(fs.readFileSync(RULES_FILE, 'utf8'));
+  return {
+    ...DEFAULT_RULES,
+    ...custom,
+    domains: { ...DEFAULT_RULES.domains, ...custom.domains }
+  };
+}
+
+function matchesParam(name, patterns = []) {
+  return patterns.some(pattern =>
+    pattern.endsWith('*') ? name.startsWith(pattern.slice(0, -1)) : name === pattern
+  );
+}
+
+// The most specific domain rule wins, e.g. "mail.google.com" over "google.com"
+function findDomainRule(hostname, domains = {}) {
+  const match = Object.keys(domains)
+    .filter(domain => hostname === domain || hostname.endsWith(`.${domain}`))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? domains[match] : {};
+}
+
+export function normalizeUrl(rawUrl, rules = DEFAULT_RULES) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch {
+    return rawUrl;
+  }
+
+  // Only web pages are normalized; chrome://, file:// etc. are compared as-is
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return rawUrl;
+  }
+
+  const hostname = url.hostname.replace(/^www\./, '');
+  const r = { ...rules, ...findDomainRule(hostname, rules.domains) };
+
+  const host = r.ignoreWww ? url.host.replace(/^www\./, '') : url.host;
+
+  let pathname = url.pathname;
+  if (r.ignoreTrailingSlash) {
+    pathname = pathname.replace(/\/+$/, '');
+  }
+
+  let params = r.ignoreQuery ? [] : [...url.searchParams];
+  if (r.keepParams) {
+    params = params.filter(([name]) => r.keepParams.includes(name));
+  }
+  if (r.stripTrackingParams) {
+    params = params.filter(([name]) => !matchesParam(name, r.trackingParams));
+  }
+  if (r.stripParams) {
+    params = params.filter(([name]) => !matchesParam(name, r.stripParams));
+  }
+  if (r.sortQuery) {
+    params.sort(([a], [b]) => a.localeCompare(b));
+  }
+  const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+
+  const isRoute = /^#[/!]/.test(url.hash);
+  const fragment = r.ignoreFragment && !isRoute ? '' : url.hash;
+  const protocol = r.ignoreProtocol ? '' : url.protocol;
+
+  return `${protocol}//${host}${pathname}${query}${fragment}`;
+}
+
+// Without a focused window in the snapshot, the window used most recently counts as active
+function getActiveWindowId(tabs, focusedWindowId) {
+  if (focusedWindowId !== undefined && focusedWindowId !== null) {
+    return focusedWindowId;
+  }
+  const mostRecent = [...tabs].sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0))[0];
+  return mostRecent?.windowId;
+}
+
+function pickTabToKeep(tabs, keepPolicy, activeWindowId) {
+  if (keepPolicy === 'first') {
+    return tabs[0];
+  }
+
+  const preferred = {
+    pinned: t => t.pinned,
+    grouped: t => t.groupId !== undefined && t.groupId !== -1,
+    active_window: t => t.windowId === activeWindowId
+  }[keepPolicy];
+
+  // Prefer tabs matching the policy, then the most recently accessed one
+  return [...tabs].sort((a, b) =>
+    (preferred ? Number(!!preferred(b)) - Number(!!preferred(a)) : 0) ||
+    (b.lastAccessed || 0) - (a.lastAccessed || 0)
+  )[0];
+}
+
+// Group tabs whose normalized URLs match: one entry per duplicated page,
+// with the tab to keep and the tabs to close
+export function findDuplicates(tabs, { rules = loadDuplicateRules(), keepPolicy, focusedWindowId } = {}) {
+  const policy = keepPolicy || rules.keepPolicy || 'first';
+  const activeWindowId = getActiveWindowId(tabs, focusedWindowId);
+
+  const byUrl = new Map();
+  tabs.forEach(tab => {
+    const key = normalizeUrl(tab.url, rules);
+    if (!byUrl.has(key)) byUrl.set(key, []);
+    byUrl.get(key).push(tab);
+  });
+
+  return [...byUrl.entries()]
+    .filter(([, matching]) => matching.length > 1)
+    .map(([normalizedUrl, matching]) => {
+      const keep = pickTabToKeep(matching, policy, activeWindowId);
+      return {
+        normalizedUrl,
+        keep,
+        duplicates: matching.filter(t => t !== keep)
+      };
+    });
+}
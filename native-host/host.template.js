@@ -3,8 +3,48 @@
 const fs = require('fs');
 const path = require('path');
 
-const OUTPUT_FILE = path.join(__dirname, '..', 'tabs-data.json');
+const DATA_DIR = path.join(__dirname, '..');
+const LEGACY_OUTPUT_FILE = path.join(DATA_DIR, 'tabs-data.json');
 const COMMANDS_FILE = path.join(__dirname, '..', 'commands.json');
+const RESULTS_FILE = path.join(__dirname, '..', 'command-results.json');
+const UNDO_FILE = path.join(__dirname, '..', 'undo-history.json');
+const LEGACY_HISTORY_FILE = path.join(DATA_DIR, 'tabs-history.jsonl');
+const RESPONSES_DIR = path.join(DATA_DIR, 'command-responses');
+const CONTENT_DIR = path.join(DATA_DIR, 'tab-content');
+const STASH_FILE = path.join(DATA_DIR, 'stash.json');
+
+// Only the most recent results and undoable actions are kept
+const MAX_RESULTS = 200;
+const MAX_UNDO_ENTRIES = 50;
+
+// Data returned by commands (e.g. page content) is kept this long for the MCP server to pick up
+const RESPONSE_TTL = 60 * 60 * 1000;
+
+// Tab history: at most one snapshot per interval, pruned by age and file size
+const HISTORY_INTERVAL = 15 * 60 * 1000;
+const HISTORY_RETENTION_DAYS = 90;
+const HISTORY_MAX_BYTES = 50 * 1024 * 1024;
+
+// How often the persistent connection checks commands.json for new commands
+const COMMANDS_POLL_INTERVAL = 500;
+
+// Each browser/profile gets its own snapshot and history file, e.g. tabs-data.<id>.json.
+// Snapshots from extensions without an identity keep using the original file names.
+function browserFileId(browser) {
+  return String(browser.id).replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+function getOutputFile(browser) {
+  return browser?.id ? path.join(DATA_DIR, `tabs-data.${browserFileId(browser)}.json`) : LEGACY_OUTPUT_FILE;
+}
+
+function getContentDir(browserId) {
+  return path.join(CONTENT_DIR, browserId ? browserFileId({ id: browserId }) : 'default');
+}
+
+function getHistoryFile(browser) {
+  return browser?.id ? path.join(DATA_DIR, `tabs-history.${browserFileId(browser)}.jsonl`) : LEGACY_HISTORY_FILE;
+}
 
 function sendMessage(message) {
   const messageString = JSON.stringify(message);
@@ -24,12 +64,286 @@ function loadCommands() {
   }
 }
 
+// Commands are routed by the MCP server to the browser owning their tabs;
+// untagged commands (and extensions without an identity) see everything
+function getPendingCommands(browserId) {
+  return loadCommands().filter(c =>
+    c.status === 'pending' && (!browserId || !c.browser || c.browser === browserId)
+  );
+}
+
 function clearCommands() {
   if (fs.existsSync(COMMANDS_FILE)) {
     fs.writeFileSync(COMMANDS_FILE, '[]', 'utf8');
   }
 }
 
+function loadResults() {
+  if (!fs.existsSync(RESULTS_FILE)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(RESULTS_FILE, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+// One file per command, so large responses stay out of the results file
+function saveResponse(id, data) {
+  fs.mkdirSync(RESPONSES_DIR, { recursive: true });
+  const cutoff = Date.now() - RESPONSE_TTL;
+  for (const file of fs.readdirSync(RESPONSES_DIR)) {
+    const filePath = path.join(RESPONSES_DIR, file);
+    if (fs.statSync(filePath).mtimeMs < cutoff) {
+      fs.unlinkSync(filePath);
+    }
+  }
+  fs.writeFileSync(path.join(RESPONSES_DIR, `${id}.json`), JSON.stringify(data), 'utf8');
+}
+
+// Store results keyed by command id so the MCP server can report on them
+function saveResults(commands, results) {
+  const stored = loadResults();
+  const completedAt = new Date().toISOString();
+
+  for (const result of results) {
+    const command = commands.find(c => c.id === result.id);
+    if (result.data) {
+      saveResponse(result.id, result.data);
+    }
+    stored[result.id] = {
+      id: result.id,
+      action: command?.action,
+      description: command?.description,
+      status: result.rejected ? 'rejected' : result.success ? 'completed' : 'failed',
+      message: result.message,
+      ...(result.keptTabIds && { keptTabIds: result.keptTabIds }),
+      completedAt
+    };
+  }
+
+  const kept = Object.values(stored)
+    .sort((a, b) => b.completedAt.localeCompare(a.completedAt) || b.id - a.id)
+    .slice(0, MAX_RESULTS);
+  const pruned = Object.fromEntries(kept.map(r => [r.id, r]));
+  fs.writeFileSync(RESULTS_FILE, JSON.stringify(pruned, null, 2), 'utf8');
+}
+
+function loadUndoHistory() {
+  if (!fs.existsSync(UNDO_FILE)) return [];
+  try {
+    return JSON.parse(fs.readFileSync(UNDO_FILE, 'utf8'));
+  } catch {
+    return [];
+  }
+}
+
+// Keep the state captured before each executed command, newest last
+function saveUndoStates(commands, results) {
+  const entries = results
+    .filter(r => r.undoState)
+    .map(r => {
+      const command = commands.find(c => c.id === r.id);
+      return {
+        commandId: r.id,
+        action: command?.action,
+        description: command?.description,
+        ...(command?.browser && { browser: command.browser }),
+        executedAt: new Date().toISOString(),
+        undone: false,
+        before: r.undoState
+      };
+    });
+  if (entries.length === 0) return;
+
+  const history = [...loadUndoHistory(), ...entries].slice(-MAX_UNDO_ENTRIES);
+  fs.writeFileSync(UNDO_FILE, JSON.stringify(history, null, 2), 'utf8');
+}
+
+// restore_stash leaves its entries in the stash until the tabs have actually been reopened
+function removeRestoredStashEntries(commands, results) {
+  const restoredIds = results
+    .filter(r => r.success && !r.rejected)
+    .flatMap(r => commands.find(c => c.id === r.id)?.stashIds || []);
+  if (restoredIds.length === 0 || !fs.existsSync(STASH_FILE)) return;
+  try {
+    const stash = JSON.parse(fs.readFileSync(STASH_FILE, 'utf8'));
+    fs.writeFileSync(STASH_FILE, JSON.stringify(stash.filter(e => !restoredIds.includes(e.id)), null, 2), 'utf8');
+  } catch {
+    // Leave a stash that can't be read as it is
+  }
+}
+
+// Remove only the given commands, so commands queued meanwhile are kept
+function completeCommands(ids, results) {
+  const commands = loadCommands();
+  if (results.length > 0) {
+    saveResults(commands, results);
+    saveUndoStates(commands, results);
+    removeRestoredStashEntries(commands, results);
+  }
+  const remaining = commands.filter(c => !ids.includes(c.id));
+  fs.writeFileSync(COMMANDS_FILE, JSON.stringify(remaining, null, 2), 'utf8');
+}
+
+// Compact form of a snapshot: one line per snapshot, tabs as [url, title] pairs
+function appendHistory(snapshot) {
+  const historyFile = getHistoryFile(snapshot.browser);
+  if (fs.existsSync(historyFile) && Date.now() - fs.statSync(historyFile).mtimeMs < HISTORY_INTERVAL) {
+    return;
+  }
+
+  const entry = {
+    t: snapshot.timestamp || new Date().toISOString(),
+    windows: snapshot.windowCount || 0,
+    groups: (snapshot.groups || []).map(g => g.title),
+    tabs: (snapshot.tabs || []).map(t => [t.url, t.title])
+  };
+  fs.appendFileSync(historyFile, JSON.stringify(entry) + '\n', 'utf8');
+  pruneHistory(historyFile);
+}
+
+function pruneHistory(historyFile) {
+  const cutoff = new Date(Date.now() - HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  // Cheap check first: the oldest entry is at the start of the file
+  const { size } = fs.statSync(historyFile);
+  const head = Buffer.alloc(64);
+  const fd = fs.openSync(historyFile, 'r');
+  fs.readSync(fd, head, 0, head.length, 0);
+  fs.closeSync(fd);
+  const oldest = head.toString('utf8').match(/"t":"([^"]+)"/)?.[1];
+  if (size <= HISTORY_MAX_BYTES && oldest && oldest >= cutoff) return;
+
+  const lines = fs.readFileSync(historyFile, 'utf8')
+    .split('\n')
+    .filter(line => line && (line.match(/"t":"([^"]+)"/)?.[1] || '') >= cutoff);
+  let bytes = lines.reduce((sum, line) => sum + Buffer.byteLength(line) + 1, 0);
+  let start = 0;
+  while (bytes > HISTORY_MAX_BYTES && start < lines.length - 1) {
+    bytes -= Buffer.byteLength(lines[start]) + 1;
+    start++;
+  }
+  fs.writeFileSync(historyFile, lines.slice(start).map(line => line + '\n').join(''), 'utf8');
+}
+
+// Page text captured by the extension, one file per tab, indexed by the MCP server
+function saveTabContent(message) {
+  const dir = getContentDir(message.browser);
+  fs.mkdirSync(dir, { recursive: true });
+  const entry = {
+    browser: message.browser,
+    tabId: message.tabId,
+    url: message.url,
+    title: message.title,
+    content: message.content,
+    capturedAt: new Date().toISOString()
+  };
+  fs.writeFileSync(path.join(dir, `${message.tabId}.json`), JSON.stringify(entry), 'utf8');
+}
+
+// Drop the captured text of tabs that are no longer open
+function pruneTabContent(snapshot) {
+  const dir = getContentDir(snapshot.browser?.id);
+  if (!fs.existsSync(dir)) return;
+
+  const openIds = new Set((snapshot.tabs || []).map(t => `${t.id}.json`));
+  for (const file of fs.readdirSync(dir)) {
+    if (!openIds.has(file)) {
+      fs.unlinkSync(path.join(dir, file));
+    }
+  }
+}
+
+function handleMessage(message) {
+  if (message.action === 'get_commands') {
+    return {
+      success: true,
+      commands: getPendingCommands(message.browser)
+    };
+  }
+
+  if (message.action === 'clear_commands') {
+    clearCommands();
+    return { success: true, message: 'Commands cleared' };
+  }
+
+  if (message.action === 'tab_content') {
+    saveTabContent(message);
+    return { success: true, message: `Saved content of tab ${message.tabId}` };
+  }
+
+  if (message.action === 'complete_commands') {
+    const ids = message.ids || [];
+    completeCommands(ids, message.results || []);
+    return { success: true, message: `Completed ${ids.length} commands` };
+  }
+
+  // Default: save tab data
+  const outputFile = getOutputFile(message.browser);
+  fs.writeFileSync(outputFile, JSON.stringify(message, null, 2), 'utf8');
+  // An untagged snapshot from before the extension had an identity would be counted twice
+  if (outputFile !== LEGACY_OUTPUT_FILE && fs.existsSync(LEGACY_OUTPUT_FILE)) {
+    fs.unlinkSync(LEGACY_OUTPUT_FILE);
+  }
+  try {
+    appendHistory(message);
+  } catch (error) {
+    // History is best effort, the snapshot itself was saved
+  }
+  try {
+    pruneTabContent(message);
+  } catch (error) {
+    // Leftover content of closed tabs is ignored by the MCP server anyway
+  }
+  return {
+    success: true,
+    message: `Saved ${message.tabCount || 0} tabs`,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Persistent connection (chrome.runtime.connectNative): push pending commands
+// to the extension whenever commands.json changes, until the port is closed
+let connected = false;
+let connectedBrowserId = null;
+
+function pushPendingCommands() {
+  sendMessage({ type: 'commands', commands: getPendingCommands(connectedBrowserId) });
+}
+
+function startConnection(browserId) {
+  connected = true;
+  connectedBrowserId = browserId || null;
+  fs.watchFile(COMMANDS_FILE, { interval: COMMANDS_POLL_INTERVAL }, (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs) {
+      pushPendingCommands();
+    }
+  });
+  pushPendingCommands();
+}
+
+function processMessage(message) {
+  if (message.action === 'connect') {
+    startConnection(message.browser);
+    return;
+  }
+
+  let response;
+  try {
+    response = handleMessage(message);
+  } catch (error) {
+    response = { success: false, error: error.message };
+  }
+
+  if (connected) {
+    sendMessage({ type: 'response', requestId: message.requestId, ...response });
+  } else {
+    // One-shot message (chrome.runtime.sendNativeMessage): reply and exit
+    sendMessage(response);
+    process.exit(0);
+  }
+}
+
 let buffer = Buffer.alloc(0);
 let messageLength = null;
 
@@ -38,49 +352,40 @@ process.stdin.on('readable', () => {
   while ((chunk = process.stdin.read()) !== null) {
     buffer = Buffer.concat([buffer, chunk]);
 
-    // Try to read message length if we don't have it yet
-    if (messageLength === null && buffer.length >= 4) {
-      messageLength = buffer.readUInt32LE(0);
-      buffer = buffer.slice(4);
-    }
+    // A single chunk may hold several messages on a persistent connection
+    while (true) {
+      // Try to read message length if we don't have it yet
+      if (messageLength === null && buffer.length >= 4) {
+        messageLength = buffer.readUInt32LE(0);
+        buffer = buffer.slice(4);
+      }
+
+      // Wait for more data if the message is incomplete
+      if (messageLength === null || buffer.length < messageLength) break;
 
-    // Check if we have the full message
-    if (messageLength !== null && buffer.length >= messageLength) {
+      const messageBuffer = buffer.slice(0, messageLength);
+      buffer = buffer.slice(messageLength);
+      messageLength = null;
+
+      let message;
       try {
-        const messageBuffer = buffer.slice(0, messageLength);
-        const message = JSON.parse(messageBuffer.toString('utf8'));
-
-        // Handle different actions
-        if (message.action === 'get_commands') {
-          const commands = loadCommands();
-          sendMessage({
-            success: true,
-            commands: commands.filter(c => c.status === 'pending')
-          });
-        } else if (message.action === 'clear_commands') {
-          clearCommands();
-          sendMessage({ success: true, message: 'Commands cleared' });
-        } else {
-          // Default: save tab data
-          fs.writeFileSync(OUTPUT_FILE, JSON.stringify(message, null, 2), 'utf8');
-          sendMessage({
-            success: true,
-            message: `Saved ${message.tabCount || 0} tabs`,
-            timestamp: new Date().toISOString()
-          });
-        }
+        message = JSON.parse(messageBuffer.toString('utf8'));
       } catch (error) {
-        sendMessage({
-          success: false,
-          error: error.message
-        });
+        sendMessage({ success: false, error: error.message });
+        if (!connected) process.exit(0);
+        continue;
       }
 
-      process.exit(0);
+      processMessage(message);
     }
   }
 });
 
+// The browser closes stdin when the extension disconnects the port
+process.stdin.on('end', () => {
+  process.exit(0);
+});
+
 process.stdin.on('error', (error) => {
   sendMessage({ success: false, error: error.message });
   process.exit(1);
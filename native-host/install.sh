@@ -39,66 +39,86 @@ echo ""
 # Make host executable
 chmod +x "$HOST_PATH"
 
-# Get extension ID from user
-read -p "Enter your Chrome extension ID (from chrome://extensions): " EXTENSION_ID
+# Get extension IDs from user (one per browser if they differ)
+read -p "Enter your extension ID(s) from chrome://extensions, separated by spaces: " EXTENSION_IDS
 
-if [ -z "$EXTENSION_ID" ]; then
+if [ -z "$EXTENSION_IDS" ]; then
     echo "Error: Extension ID is required"
     exit 1
 fi
 
+ALLOWED_ORIGINS=""
+for EXTENSION_ID in ${EXTENSION_IDS//,/ }; do
+    if [ -n "$ALLOWED_ORIGINS" ]; then
+        ALLOWED_ORIGINS="$ALLOWED_ORIGINS,"
+    fi
+    ALLOWED_ORIGINS="$ALLOWED_ORIGINS
+    \"chrome-extension://$EXTENSION_ID/\""
+done
+
 # Create manifest
 MANIFEST='{
   "name": "'"$HOST_NAME"'",
   "description": "Tab Organizer native messaging host for Claude Code",
   "path": "'"$HOST_PATH"'",
   "type": "stdio",
-  "allowed_origins": [
-    "chrome-extension://'"$EXTENSION_ID"'/"
+  "allowed_origins": ['"$ALLOWED_ORIGINS"'
   ]
 }'
 
-# Determine manifest location based on browser
+# Determine manifest locations; every selected browser syncs to the same MCP server
 echo ""
-echo "Select your browser:"
+echo "Select your browsers (e.g. \"1 3\" for Chrome and Brave):"
 echo "1) Google Chrome"
 echo "2) Chromium"
 echo "3) Brave"
 echo "4) Arc"
 echo "5) Microsoft Edge"
-read -p "Choice [1-5]: " BROWSER_CHOICE
-
-case $BROWSER_CHOICE in
-    1)
-        MANIFEST_DIR="$HOME/Library/Application Support/Google/Chrome/NativeMessagingHosts"
-        ;;
-    2)
-        MANIFEST_DIR="$HOME/Library/Application Support/Chromium/NativeMessagingHosts"
-        ;;
-    3)
-        MANIFEST_DIR="$HOME/Library/Application Support/BraveSoftware/Brave-Browser/NativeMessagingHosts"
-        ;;
-    4)
-        MANIFEST_DIR="$HOME/Library/Application Support/Arc/User Data/NativeMessagingHosts"
-        ;;
-    5)
-        MANIFEST_DIR="$HOME/Library/Application Support/Microsoft Edge/NativeMessagingHosts"
-        ;;
-    *)
-        echo "Invalid choice"
-        exit 1
-        ;;
-esac
-
-# Create directory if needed
-mkdir -p "$MANIFEST_DIR"
-
-# Write manifest
-MANIFEST_FILE="$MANIFEST_DIR/$HOST_NAME.json"
-echo "$MANIFEST" > "$MANIFEST_FILE"
+read -p "Choices [1-5]: " BROWSER_CHOICES
+
+if [ -z "$BROWSER_CHOICES" ]; then
+    echo "Invalid choice"
+    exit 1
+fi
+
+MANIFEST_DIRS=()
+for BROWSER_CHOICE in ${BROWSER_CHOICES//,/ }; do
+    case $BROWSER_CHOICE in
+        1)
+            MANIFEST_DIRS+=("$HOME/Library/Application Support/Google/Chrome/NativeMessagingHosts")
+            ;;
+        2)
+            MANIFEST_DIRS+=("$HOME/Library/Application Support/Chromium/NativeMessagingHosts")
+            ;;
+        3)
+            MANIFEST_DIRS+=("$HOME/Library/Application Support/BraveSoftware/Brave-Browser/NativeMessagingHosts")
+            ;;
+        4)
+            MANIFEST_DIRS+=("$HOME/Library/Application Support/Arc/User Data/NativeMessagingHosts")
+            ;;
+        5)
+            MANIFEST_DIRS+=("$HOME/Library/Application Support/Microsoft Edge/NativeMessagingHosts")
+            ;;
+        *)
+            echo "Invalid choice: $BROWSER_CHOICE"
+            exit 1
+            ;;
+    esac
+done
+
+echo ""
+for MANIFEST_DIR in "${MANIFEST_DIRS[@]}"; do
+    # Create directory if needed
+    mkdir -p "$MANIFEST_DIR"
+
+    # Write manifest
+    MANIFEST_FILE="$MANIFEST_DIR/$HOST_NAME.json"
+    echo "$MANIFEST" > "$MANIFEST_FILE"
+    echo "Manifest written to: $MANIFEST_FILE"
+done
 
 echo ""
 echo "Success! Native messaging host installed."
-echo "Manifest written to: $MANIFEST_FILE"
 echo ""
-echo "You may need to restart your browser for changes to take effect."
+echo "You may need to restart your browsers for changes to take effect."
+echo "Give each browser a distinct name in the extension popup if the detected names clash."